@@ -1,5 +1,6 @@
--- Feedback Analyzer Database Schema
--- D1 SQLite Database
+-- Initial schema: raw feedback and daily metrics
+-- (CREATE ... IF NOT EXISTS, so databases set up from the original
+-- schema.sql can apply it too)
 
 -- Raw feedback from all channels
 CREATE TABLE IF NOT EXISTS feedback (
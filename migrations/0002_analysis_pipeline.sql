@@ -0,0 +1,6 @@
+-- Background analysis bookkeeping for the cron pipeline
+ALTER TABLE feedback ADD COLUMN analysis_attempts INTEGER DEFAULT 0;
+ALTER TABLE feedback ADD COLUMN analysis_error TEXT;
+ALTER TABLE feedback ADD COLUMN last_analysis_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_feedback_analyzed ON feedback(analyzed, analysis_attempts);
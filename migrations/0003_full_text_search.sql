@@ -0,0 +1,25 @@
+-- Full-text search index over feedback title and content
+CREATE VIRTUAL TABLE IF NOT EXISTS feedback_fts USING fts5(
+    title,
+    content,
+    content='feedback',
+    content_rowid='id',
+    tokenize='porter unicode61'
+);
+
+-- Keep the search index in sync with the feedback table
+CREATE TRIGGER IF NOT EXISTS feedback_fts_insert AFTER INSERT ON feedback BEGIN
+    INSERT INTO feedback_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS feedback_fts_delete AFTER DELETE ON feedback BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS feedback_fts_update AFTER UPDATE OF title, content ON feedback BEGIN
+    INSERT INTO feedback_fts(feedback_fts, rowid, title, content) VALUES ('delete', old.id, old.title, old.content);
+    INSERT INTO feedback_fts(rowid, title, content) VALUES (new.id, new.title, new.content);
+END;
+
+-- Index the rows that existed before the search table was created
+INSERT INTO feedback_fts(feedback_fts) VALUES ('rebuild');
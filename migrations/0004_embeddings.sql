@@ -0,0 +1,16 @@
+-- Text embeddings for semantic search and similar-feedback lookup.
+-- Vectors are JSON arrays; model records which embedding model made them.
+CREATE TABLE IF NOT EXISTS feedback_embeddings (
+    feedback_id INTEGER PRIMARY KEY REFERENCES feedback(id) ON DELETE CASCADE,
+    model TEXT NOT NULL,
+    dimensions INTEGER NOT NULL,
+    vector TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_model ON feedback_embeddings(model);
+
+-- Edited feedback needs a fresh embedding
+CREATE TRIGGER IF NOT EXISTS feedback_embeddings_stale AFTER UPDATE OF title, content ON feedback BEGIN
+    DELETE FROM feedback_embeddings WHERE feedback_id = old.id;
+END;
@@ -0,0 +1,4 @@
+-- Near-duplicate grouping: id of the earliest stored report of the same issue
+ALTER TABLE feedback ADD COLUMN duplicate_group_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_feedback_duplicate_group ON feedback(duplicate_group_id);
@@ -0,0 +1,2 @@
+-- The model's reason for the value_score it gave
+ALTER TABLE feedback ADD COLUMN value_rationale TEXT;
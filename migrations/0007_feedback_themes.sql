@@ -0,0 +1,15 @@
+-- Theme labels per feedback item. An item can carry several themes; the
+-- primary one is also stored in feedback.theme.
+CREATE TABLE IF NOT EXISTS feedback_themes (
+    feedback_id INTEGER NOT NULL REFERENCES feedback(id) ON DELETE CASCADE,
+    theme TEXT NOT NULL,
+    confidence REAL DEFAULT 1,
+    is_primary INTEGER DEFAULT 0,
+    PRIMARY KEY (feedback_id, theme)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_themes_theme ON feedback_themes(theme, feedback_id);
+
+-- Give rows analyzed before multi-label themes their primary label
+INSERT OR IGNORE INTO feedback_themes (feedback_id, theme, confidence, is_primary)
+SELECT id, theme, 1, 1 FROM feedback WHERE analyzed = 1;
@@ -0,0 +1,22 @@
+-- Theme taxonomy used by the analysis prompt and the dashboard.
+-- keywords is a JSON array of lowercase words and phrases.
+CREATE TABLE IF NOT EXISTS themes (
+    slug TEXT PRIMARY KEY,
+    display_name TEXT NOT NULL,
+    icon TEXT,
+    description TEXT,
+    keywords TEXT DEFAULT '[]',
+    sort_order INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Default taxonomy ('other' is the fallback theme and cannot be removed)
+INSERT OR IGNORE INTO themes (slug, display_name, icon, description, keywords, sort_order) VALUES
+('performance', 'Performance', '⚡', 'Speed, latency, cold starts and resource limits', '["slow", "latency", "cold start", "timeout", "performance", "spike"]', 1),
+('pricing', 'Pricing', '💰', 'Costs, billing, plans and how clearly pricing is explained', '["price", "pricing", "bill", "billing", "cost", "plan", "expensive"]', 2),
+('documentation', 'Documentation', '📚', 'Docs, guides, tutorials, examples and API references', '["docs", "documentation", "tutorial", "guide", "example", "reference"]', 3),
+('developer-experience', 'Developer Experience', '🛠️', 'Tooling, CLI, SDKs, dashboards, error messages and day-to-day workflows', '["wrangler", "cli", "sdk", "dashboard", "error message", "types", "debugging"]', 4),
+('reliability', 'Reliability', '🔒', 'Outages, errors, downtime, consistency and data integrity', '["outage", "down", "downtime", "500", "consistency", "uptime", "stale"]', 5),
+('feature-request', 'Feature Request', '✨', 'Requests for new products, features or integrations', '["would love", "please add", "request", "support for", "feature"]', 6),
+('other', 'Other', '📋', 'Feedback that fits no other theme', '[]', 7);
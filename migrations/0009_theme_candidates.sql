@@ -0,0 +1,18 @@
+-- Emerging themes proposed by clustering 'other' and uncategorized
+-- feedback. member_ids/example_ids are JSON arrays of feedback ids;
+-- status is 'open', 'accepted' or 'dismissed'.
+CREATE TABLE IF NOT EXISTS theme_candidates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT NOT NULL,
+    display_name TEXT NOT NULL,
+    description TEXT,
+    keywords TEXT DEFAULT '[]',
+    size INTEGER NOT NULL,
+    member_ids TEXT NOT NULL,
+    example_ids TEXT NOT NULL,
+    status TEXT DEFAULT 'open',
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_theme_candidates_status ON theme_candidates(status);
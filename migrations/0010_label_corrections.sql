@@ -0,0 +1,16 @@
+-- Set once a person corrects or confirms the labels; the analysis
+-- pipeline never overwrites these rows
+ALTER TABLE feedback ADD COLUMN human_verified INTEGER DEFAULT 0;
+
+-- Audit trail of human label corrections, one row per changed field
+CREATE TABLE IF NOT EXISTS label_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    feedback_id INTEGER NOT NULL REFERENCES feedback(id) ON DELETE CASCADE,
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    changed_by TEXT NOT NULL,
+    changed_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_label_history_feedback ON label_history(feedback_id, changed_at);
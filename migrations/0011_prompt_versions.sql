@@ -0,0 +1,9 @@
+-- Model and analysis prompt version (src/prompts.js) that produced the
+-- current labels, and when. NULL for seeded and hand-labeled rows.
+ALTER TABLE feedback ADD COLUMN model TEXT;
+ALTER TABLE feedback ADD COLUMN prompt_version INTEGER;
+ALTER TABLE feedback ADD COLUMN analyzed_at TEXT;
+-- Set by POST /api/reanalyze; the pipeline re-runs these rows
+ALTER TABLE feedback ADD COLUMN reanalysis_requested INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_feedback_prompt_version ON feedback(prompt_version);
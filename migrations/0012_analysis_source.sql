@@ -0,0 +1,3 @@
+-- Who produced the current labels: 'ai', 'rules' (src/rules.js, when AI is
+-- disabled or unavailable) or 'human'. NULL for seeded rows.
+ALTER TABLE feedback ADD COLUMN analysis_source TEXT;
@@ -0,0 +1,19 @@
+-- Connector rows: the item's id in its source system (e.g.
+-- 'github:issue:123'), a link back to it and its state there ('open',
+-- 'closed', 'deleted'). NULL for feedback entered directly.
+ALTER TABLE feedback ADD COLUMN external_id TEXT;
+ALTER TABLE feedback ADD COLUMN source_url TEXT;
+ALTER TABLE feedback ADD COLUMN external_status TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_external_id ON feedback(external_id);
+
+-- Webhook deliveries already processed, so redeliveries are skipped
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    source TEXT NOT NULL,
+    delivery_id TEXT NOT NULL,
+    event TEXT,
+    received_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (source, delivery_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_received ON webhook_deliveries(received_at);
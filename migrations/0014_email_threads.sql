@@ -0,0 +1,9 @@
+-- Message-IDs of stored inbound emails and the feedback row holding their
+-- thread, so replies are appended to it and redelivered mail is skipped
+CREATE TABLE IF NOT EXISTS email_threads (
+    message_id TEXT PRIMARY KEY,
+    feedback_id INTEGER NOT NULL REFERENCES feedback(id) ON DELETE CASCADE,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_threads_feedback ON email_threads(feedback_id);
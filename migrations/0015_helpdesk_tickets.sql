@@ -0,0 +1,4 @@
+-- Helpdesk tickets: the ticket priority ('urgent', 'high', ...) and the
+-- requester's organization
+ALTER TABLE feedback ADD COLUMN external_priority TEXT;
+ALTER TABLE feedback ADD COLUMN organization TEXT;
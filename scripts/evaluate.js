@@ -0,0 +1,371 @@
+/**
+ * Offline evaluation of the analysis prompt against hand-labeled seed data.
+ *
+ * Replays the feedback rows of the seed files through runAnalysis() (the same
+ * code /api/analyze and the cron pipeline use) and compares the answers with
+ * the stored labels: accuracy and a confusion matrix for sentiment, theme,
+ * urgency and value_score, and the error of sentiment_score.
+ *
+ * Usage:
+ *   npm run eval -- [options] [seed files...]
+ *
+ * Options:
+ *   --runner rules|recorded|workers-ai|openai
+ *                                       model to evaluate (default: rules)
+ *   --model <name>                      model for the workers-ai or openai runner
+ *   --recording <file>                  responses for the recorded runner
+ *   --record <file>                     save the runner's responses for later replays
+ *   --limit <n>                         only evaluate the first n rows
+ *   --json                              print the report as JSON
+ *   --compare <report.json>             show the change against an earlier --json report
+ *
+ * The rules runner scores the built-in rule-based classifier (src/rules.js),
+ * the floor the model should beat. The workers-ai runner calls the Workers
+ * AI REST API and needs CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN. The
+ * openai runner uses the Worker's OpenAI-compatible provider
+ * (src/providers.js) and reads OPENAI_BASE_URL, OPENAI_MODEL and
+ * OPENAI_API_KEY from the environment.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { RULES_MODEL, SENTIMENTS, URGENCIES, VALUE_SCORES, analysisText, runAnalysis } from '../src/analysis.js';
+import { PROMPTS } from '../src/prompts.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Hand-labeled datasets evaluated when no files are given
+const DEFAULT_SEED_FILES = [
+  'seed.sql',
+  'feedback-analyser-2/seed-extended.sql',
+  'feedback-analyser-2/seed-extra.sql',
+  'feedback-analyser-2/seed-large.sql',
+];
+
+// Labeled fields compared exactly, and the values each can take
+// (theme values come from the default taxonomy)
+const LABEL_FIELDS = ['sentiment', 'theme', 'urgency', 'value_score'];
+const FIELD_VALUES = { sentiment: SENTIMENTS, urgency: URGENCIES, value_score: VALUE_SCORES };
+
+// Split the VALUES list of an INSERT into rows of SQL literals (strings,
+// numbers and NULL), skipping -- comments between rows
+function parseValues(sql, start) {
+  const rows = [];
+  let row = null;
+  let i = start;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    if (char === '-' && sql[i + 1] === '-') {
+      i = sql.indexOf('\n', i) === -1 ? sql.length : sql.indexOf('\n', i);
+    } else if (char === '(') {
+      row = [];
+      i++;
+    } else if (char === ')') {
+      rows.push(row);
+      row = null;
+      i++;
+    } else if (char === ';' && !row) {
+      break;
+    } else if (char === "'") {
+      let text = '';
+      i++;
+      while (i < sql.length) {
+        if (sql[i] === "'" && sql[i + 1] === "'") {
+          text += "'";
+          i += 2;
+        } else if (sql[i] === "'") {
+          i++;
+          break;
+        } else {
+          text += sql[i++];
+        }
+      }
+      row.push(text);
+    } else if (row && /[-\d.]/.test(char)) {
+      const match = sql.slice(i).match(/^-?[\d.]+/);
+      row.push(Number(match[0]));
+      i += match[0].length;
+    } else if (row && sql.slice(i, i + 4).toUpperCase() === 'NULL') {
+      row.push(null);
+      i += 4;
+    } else {
+      i++;
+    }
+  }
+  return rows;
+}
+
+// Read the rows of every `INSERT ... INTO <table> (columns) VALUES` statement
+// in a SQL file as objects keyed by column
+function readInsertedRows(sql, table) {
+  const pattern = new RegExp(`INSERT\\s+(?:OR\\s+IGNORE\\s+)?INTO\\s+${table}\\s*\\(([^)]*)\\)\\s*VALUES`, 'gi');
+  const rows = [];
+  for (const match of sql.matchAll(pattern)) {
+    const columns = match[1].split(',').map(column => column.trim());
+    for (const values of parseValues(sql, match.index + match[0].length)) {
+      rows.push(Object.fromEntries(columns.map((column, index) => [column, values[index]])));
+    }
+  }
+  return rows;
+}
+
+// The default taxonomy seeded by the themes migration
+function loadTaxonomy() {
+  return readInsertedRows(readFileSync(join(ROOT, 'migrations', '0008_themes.sql'), 'utf8'), 'themes')
+    .map(theme => ({ ...theme, keywords: JSON.parse(theme.keywords || '[]') }))
+    .sort((a, b) => a.sort_order - b.sort_order);
+}
+
+// Labeled feedback from the seed files, without repeated contents
+function loadLabeledRows(files) {
+  const seen = new Set();
+  const rows = [];
+  for (const file of files) {
+    for (const row of readInsertedRows(readFileSync(file, 'utf8'), 'feedback')) {
+      if (row.analyzed !== 1 || seen.has(row.content)) continue;
+      seen.add(row.content);
+      rows.push({ ...row, source: relative(ROOT, file) });
+    }
+  }
+  return rows;
+}
+
+// Key of a recorded response: the model plus the full conversation, so a
+// changed prompt never replays an answer to the old one
+function recordingKey(model, input) {
+  return createHash('sha256').update(JSON.stringify([model, input.messages])).digest('hex');
+}
+
+// Replay responses saved with --record
+function recordedRunner(file) {
+  if (!file) throw new Error('The recorded runner needs --recording <file>');
+  const recording = JSON.parse(readFileSync(file, 'utf8'));
+
+  return {
+    async run(model, input) {
+      const response = recording.responses[recordingKey(model, input)];
+      if (response === undefined) {
+        throw new Error('No recorded response for this prompt (was it recorded with a different prompt?)');
+      }
+      return { response };
+    },
+  };
+}
+
+// Call Workers AI over the REST API, optionally with another model
+function workersAiRunner(modelOverride) {
+  const accountId = process.env.CLOUDFLARE_ACCOUNT_ID;
+  const token = process.env.CLOUDFLARE_API_TOKEN;
+  if (!accountId || !token) {
+    throw new Error('The workers-ai runner needs CLOUDFLARE_ACCOUNT_ID and CLOUDFLARE_API_TOKEN');
+  }
+
+  return {
+    async run(model, input) {
+      const res = await fetch(`https://api.cloudflare.com/client/v4/accounts/${accountId}/ai/run/${modelOverride || model}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(input),
+      });
+      const body = await res.json();
+      if (!res.ok || !body.success) {
+        throw new Error(`Workers AI request failed (${res.status}): ${JSON.stringify(body.errors || body)}`);
+      }
+      return body.result;
+    },
+  };
+}
+
+// Wrap a runner so every response is kept for saveRecording()
+function recordingRunner(runner, recording) {
+  return {
+    async run(model, input) {
+      const key = recordingKey(model, input);
+      const result = await runner.run(model, input);
+      recording.responses[key] = typeof result.response === 'string' ? result.response : JSON.stringify(result.response);
+      return result;
+    },
+  };
+}
+
+// Accuracy and confusion matrix for one labeled field
+function scoreField(results, field, values) {
+  const labels = [...new Set([...values, ...results.flatMap(result => [result.expected[field], result.predicted[field]])])];
+  const matrix = Object.fromEntries(labels.map(expected => [expected, Object.fromEntries(labels.map(predicted => [predicted, 0]))]));
+  let correct = 0;
+
+  for (const { expected, predicted } of results) {
+    matrix[expected[field]][predicted[field]]++;
+    if (expected[field] === predicted[field]) correct++;
+  }
+
+  return {
+    accuracy: results.length ? correct / results.length : 0,
+    correct,
+    total: results.length,
+    confusion: matrix,
+  };
+}
+
+// Mean absolute and root mean square error of sentiment_score
+function scoreSentimentScore(results) {
+  const errors = results.map(({ expected, predicted }) => predicted.sentiment_score - expected.sentiment_score);
+  const n = errors.length || 1;
+  return {
+    mae: errors.reduce((sum, error) => sum + Math.abs(error), 0) / n,
+    rmse: Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / n),
+    bias: errors.reduce((sum, error) => sum + error, 0) / n,
+  };
+}
+
+// Run every row through runAnalysis and score the answers
+async function evaluate(rows, taxonomy, env) {
+  const statuses = { ok: 0, repaired: 0, fallback: 0, error: 0 };
+  const failures = [];
+  const results = [];
+
+  for (const row of rows) {
+    try {
+      const analysis = await runAnalysis(env, analysisText(row), taxonomy);
+      statuses[analysis.status]++;
+      if (analysis.status === 'fallback') failures.push({ title: row.title, reason: analysis.reason });
+      results.push({ expected: row, predicted: analysis });
+    } catch (error) {
+      statuses.error++;
+      failures.push({ title: row.title, reason: error.message });
+    }
+  }
+
+  const themeSlugs = taxonomy.map(theme => theme.slug);
+  return {
+    rows: rows.length,
+    statuses,
+    fields: Object.fromEntries(LABEL_FIELDS.map(field => [field, scoreField(results, field, FIELD_VALUES[field] || themeSlugs)])),
+    sentiment_score: scoreSentimentScore(results),
+    failures: failures.slice(0, 20),
+  };
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const points = value => `${(value * 100).toFixed(1)} pts`;
+
+// Render a confusion matrix with expected labels as rows
+function formatConfusion(confusion) {
+  const labels = Object.keys(confusion).filter(label =>
+    Object.values(confusion[label]).some(Boolean) || Object.values(confusion).some(row => row[label]));
+  const width = Math.max(...labels.map(label => label.length), 'expected \\ predicted'.length);
+  const header = ['expected \\ predicted'.padEnd(width), ...labels.map(label => label.padStart(Math.max(label.length, 4)))].join('  ');
+  const lines = labels.map(expected => [
+    expected.padEnd(width),
+    ...labels.map(predicted => String(confusion[expected][predicted]).padStart(Math.max(predicted.length, 4))),
+  ].join('  '));
+  return [header, ...lines].map(line => `  ${line}`).join('\n');
+}
+
+// Plain-text report, with changes against an earlier report when given
+function formatReport(report, baseline) {
+  const delta = (value, previous, format, lowerIsBetter = false) => {
+    if (previous === undefined || previous === null) return '';
+    const change = value - previous;
+    const sign = change > 0 ? '+' : '';
+    const better = lowerIsBetter ? change < 0 : change > 0;
+    return change === 0 ? '  (unchanged)' : `  (${sign}${format(change)} vs baseline, ${better ? 'better' : 'worse'})`;
+  };
+
+  const lines = [
+    `Runner: ${report.runner}${report.model ? ` (${report.model})` : ''}${report.prompt_version ? `, analysis prompt v${report.prompt_version}` : ''}`,
+    `Evaluated ${report.rows} labeled rows from ${report.files.join(', ')}`,
+    `Statuses: ${Object.entries(report.statuses).map(([status, count]) => `${status} ${count}`).join(', ')}`,
+    '',
+  ];
+
+  for (const [field, score] of Object.entries(report.fields)) {
+    const previous = baseline && baseline.fields[field] && baseline.fields[field].accuracy;
+    lines.push(`${field}: accuracy ${percent(score.accuracy)} (${score.correct}/${score.total})${delta(score.accuracy, previous, points)}`);
+    lines.push(formatConfusion(score.confusion), '');
+  }
+
+  const { mae, rmse, bias } = report.sentiment_score;
+  const previousMae = baseline && baseline.sentiment_score.mae;
+  lines.push(`sentiment_score: MAE ${mae.toFixed(3)}, RMSE ${rmse.toFixed(3)}, bias ${bias >= 0 ? '+' : ''}${bias.toFixed(3)}${delta(mae, previousMae, value => value.toFixed(3), true)}`);
+
+  if (report.failures.length > 0) {
+    lines.push('', 'Failures (first 20):');
+    report.failures.forEach(failure => lines.push(`  - ${failure.title || '(untitled)'}: ${failure.reason}`));
+  }
+  return lines.join('\n');
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      runner: { type: 'string', default: 'rules' },
+      model: { type: 'string' },
+      recording: { type: 'string' },
+      record: { type: 'string' },
+      limit: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      compare: { type: 'string' },
+    },
+  });
+
+  const files = positionals.length > 0
+    ? positionals
+    : DEFAULT_SEED_FILES.map(file => join(ROOT, file)).filter(file => existsSync(file));
+  const taxonomy = loadTaxonomy();
+  let rows = loadLabeledRows(files);
+  if (options.limit) rows = rows.slice(0, Number(options.limit));
+
+  // Each runner is the env runAnalysis() sees
+  const runners = {
+    rules: () => ({ ANALYSIS_ENGINE: 'rules' }),
+    recorded: () => ({ AI: recordedRunner(options.recording) }),
+    'workers-ai': () => ({ AI: workersAiRunner(options.model) }),
+    openai: () => ({
+      AI_PROVIDER: 'openai',
+      OPENAI_BASE_URL: process.env.OPENAI_BASE_URL,
+      OPENAI_MODEL: options.model || process.env.OPENAI_MODEL,
+      OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+    }),
+  };
+  if (!runners[options.runner]) {
+    throw new Error(`--runner must be one of: ${Object.keys(runners).join(', ')}`);
+  }
+
+  const recording = { model: options.model || PROMPTS.analysis.model, prompt_version: PROMPTS.analysis.version, responses: {} };
+  const env = runners[options.runner]();
+  if (options.record) {
+    if (!env.AI) throw new Error('--record works with the workers-ai and recorded runners');
+    env.AI = recordingRunner(env.AI, recording);
+  }
+
+  const report = {
+    runner: options.runner,
+    model: {
+      'workers-ai': options.model || PROMPTS.analysis.model,
+      openai: env.OPENAI_MODEL,
+      rules: RULES_MODEL,
+    }[options.runner] || null,
+    prompt_version: options.runner === 'rules' ? null : PROMPTS.analysis.version,
+    files: files.map(file => relative(ROOT, file)),
+    ...(await evaluate(rows, taxonomy, env)),
+  };
+
+  if (options.record) {
+    writeFileSync(options.record, JSON.stringify(recording, null, 2));
+  }
+
+  const baseline = options.compare ? JSON.parse(readFileSync(options.compare, 'utf8')) : null;
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report, baseline));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,52 @@
+/**
+ * Register the Feedback Analyzer's Discord application commands (the
+ * /feedback slash command and the "Send to Feedback Analyzer" message
+ * action defined in src/discord.js).
+ *
+ * Usage:
+ *   npm run discord:register -- [--guild <id>]
+ *
+ * Needs DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN. Global commands can
+ * take a while to show up; --guild registers them on one server instantly,
+ * which is handy while testing. The command list is replaced as a whole,
+ * so running it again is safe.
+ */
+
+import { parseArgs } from 'node:util';
+
+import { DISCORD_API, DISCORD_COMMANDS } from '../src/discord.js';
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      guild: { type: 'string' },
+    },
+  });
+
+  const applicationId = process.env.DISCORD_APPLICATION_ID;
+  const token = process.env.DISCORD_BOT_TOKEN;
+  if (!applicationId || !token) {
+    throw new Error('Set DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN');
+  }
+
+  const url = options.guild
+    ? `${DISCORD_API}/applications/${applicationId}/guilds/${options.guild}/commands`
+    : `${DISCORD_API}/applications/${applicationId}/commands`;
+  const res = await fetch(url, {
+    method: 'PUT',
+    headers: { Authorization: `Bot ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(DISCORD_COMMANDS),
+  });
+  const body = await res.json();
+  if (!res.ok) {
+    throw new Error(`Registering commands failed (${res.status}): ${JSON.stringify(body)}`);
+  }
+
+  console.log(`Registered ${body.length} commands${options.guild ? ` on guild ${options.guild}` : ''}:`);
+  body.forEach(command => console.log(`  - ${command.name}`));
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -45,29 +45,58 @@ INSERT INTO feedback (created_at, channel, title, content, author, sentiment, se
 ('2026-01-21 08:00:00', 'discord', 'Workers AI recovery', 'Workers AI seems to be recovering now. Was down for about an hour. Hoping for a post-mortem from the team.', 'community_reporter', 'neutral', -0.1, 'reliability', 'medium', 'medium', 1),
 ('2026-01-21 09:00:00', 'github', 'Add retry logic to SDK', 'After this morning incident, SDK should have built-in retry logic with exponential backoff. Currently we have to implement ourselves.', 'resilience_advocate', 'neutral', 0.0, 'developer-experience', 'medium', 'high', 1);
 
--- Insert some aggregated daily metrics
-INSERT INTO daily_metrics (metric_date, theme, total_count, positive_count, neutral_count, negative_count, urgency_low, urgency_medium, urgency_high, urgency_critical, avg_sentiment_score) VALUES
-('2026-01-21', 'reliability', 4, 0, 2, 2, 0, 2, 1, 1, -0.43),
-('2026-01-21', 'developer-experience', 1, 0, 1, 0, 0, 1, 0, 0, 0.0),
-('2026-01-20', 'performance', 2, 0, 0, 2, 0, 0, 1, 1, -0.70),
-('2026-01-20', 'pricing', 1, 0, 0, 1, 0, 0, 0, 1, -0.90),
-('2026-01-20', 'documentation', 1, 0, 0, 1, 0, 1, 0, 0, -0.50),
-('2026-01-20', 'developer-experience', 1, 0, 0, 1, 0, 0, 1, 0, -0.70),
-('2026-01-20', 'reliability', 1, 0, 0, 1, 0, 0, 0, 1, -0.80),
-('2026-01-20', 'feature-request', 1, 1, 0, 0, 1, 0, 0, 0, 0.30),
-('2026-01-19', 'performance', 2, 0, 1, 1, 0, 2, 0, 0, -0.30),
-('2026-01-19', 'pricing', 1, 0, 1, 0, 1, 0, 0, 0, -0.10),
-('2026-01-19', 'documentation', 1, 1, 0, 0, 1, 0, 0, 0, 0.80),
-('2026-01-19', 'developer-experience', 1, 1, 0, 0, 1, 0, 0, 0, 0.90),
-('2026-01-19', 'reliability', 1, 1, 0, 0, 1, 0, 0, 0, 0.95),
-('2026-01-19', 'feature-request', 1, 0, 1, 0, 1, 0, 0, 0, 0.10),
-('2026-01-18', 'performance', 1, 0, 0, 1, 0, 0, 1, 0, -0.70),
-('2026-01-18', 'pricing', 1, 0, 1, 0, 1, 0, 0, 0, 0.10),
-('2026-01-18', 'documentation', 1, 0, 0, 1, 0, 1, 0, 0, -0.40),
-('2026-01-18', 'developer-experience', 1, 1, 0, 0, 1, 0, 0, 0, 0.70),
-('2026-01-18', 'reliability', 1, 0, 1, 0, 0, 1, 0, 0, -0.20),
-('2026-01-18', 'feature-request', 1, 1, 0, 0, 1, 0, 0, 0, 0.40),
-('2026-01-17', 'pricing', 1, 1, 0, 0, 1, 0, 0, 0, 0.90),
-('2026-01-17', 'documentation', 1, 0, 1, 0, 1, 0, 0, 0, 0.20),
-('2026-01-17', 'developer-experience', 1, 0, 0, 1, 0, 1, 0, 0, -0.60),
-('2026-01-17', 'feature-request', 1, 1, 0, 0, 1, 0, 0, 0, 0.50);
+-- Theme labels: every row's primary theme, plus secondary themes for
+-- feedback that spans more than one area
+INSERT INTO feedback_themes (feedback_id, theme, confidence, is_primary)
+SELECT id, theme, 1, 1 FROM feedback WHERE analyzed = 1;
+
+INSERT INTO feedback_themes (feedback_id, theme, confidence, is_primary)
+WITH labels(title, theme, confidence) AS (
+  VALUES
+    ('Unexpected billing increase', 'documentation', 0.7),
+    ('Cold start times for LLaMA models', 'documentation', 0.5),
+    ('Pricing confusion Pro vs Business', 'documentation', 0.6),
+    ('Cost calculator request', 'feature-request', 0.8),
+    ('API reference outdated', 'developer-experience', 0.4),
+    ('Cron job UI request', 'developer-experience', 0.7),
+    ('KV eventual consistency question', 'documentation', 0.4),
+    ('Add retry logic to SDK', 'reliability', 0.7)
+)
+SELECT feedback.id, labels.theme, labels.confidence, 0
+FROM feedback
+JOIN labels ON labels.title = feedback.title;
+
+-- The same issues reported from several channels (near-duplicate groups,
+-- keyed by the id of the earliest stored row)
+UPDATE feedback
+SET duplicate_group_id = (SELECT id FROM feedback WHERE title = 'Workers AI Cold Start Issue')
+WHERE title IN ('Workers AI Cold Start Issue', 'Cold start times for LLaMA models', 'Slow first request', 'Workers performance question');
+
+UPDATE feedback
+SET duplicate_group_id = (SELECT id FROM feedback WHERE title = 'Production outage - Workers AI')
+WHERE title IN ('Production outage - Workers AI', 'Workers AI down?');
+
+-- Roll the seeded feedback up into daily metrics (same query as the rollup job)
+INSERT INTO daily_metrics (metric_date, theme, total_count, positive_count, neutral_count, negative_count, urgency_low, urgency_medium, urgency_high, urgency_critical, avg_sentiment_score)
+SELECT
+  DATE(created_at),
+  label,
+  COUNT(*),
+  SUM(CASE WHEN sentiment = 'positive' THEN 1 ELSE 0 END),
+  SUM(CASE WHEN sentiment = 'neutral' THEN 1 ELSE 0 END),
+  SUM(CASE WHEN sentiment = 'negative' THEN 1 ELSE 0 END),
+  SUM(CASE WHEN urgency = 'low' THEN 1 ELSE 0 END),
+  SUM(CASE WHEN urgency = 'medium' THEN 1 ELSE 0 END),
+  SUM(CASE WHEN urgency = 'high' THEN 1 ELSE 0 END),
+  SUM(CASE WHEN urgency = 'critical' THEN 1 ELSE 0 END),
+  AVG(sentiment_score)
+FROM (
+  SELECT f.created_at, f.sentiment, f.urgency, f.sentiment_score, ft.theme AS label
+  FROM feedback f JOIN feedback_themes ft ON ft.feedback_id = f.id
+  WHERE f.analyzed = 1
+  UNION ALL
+  SELECT created_at, sentiment, urgency, sentiment_score, '*'
+  FROM feedback
+  WHERE analyzed = 1
+)
+GROUP BY DATE(created_at), label;
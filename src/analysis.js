@@ -0,0 +1,181 @@
+/**
+ * Feedback analysis - the contract a model response must meet and the
+ * repair loop around the AI provider. The prompt itself is in
+ * src/prompts.js, the providers in src/providers.js.
+ *
+ * Kept free of Worker bindings other than the AI provider's so the offline
+ * evaluation script (scripts/evaluate.js) can run the same code under Node.
+ */
+
+import { PROMPTS } from './prompts.js';
+import { getProvider } from './providers.js';
+import { classifyWithRules } from './rules.js';
+
+// Allowed values for AI-analyzed fields
+export const SENTIMENTS = ['positive', 'neutral', 'negative'];
+export const URGENCIES = ['low', 'medium', 'high', 'critical'];
+export const VALUE_SCORES = ['low', 'medium', 'high'];
+
+// How many times a response that breaks the analysis contract is sent
+// back for repair
+const ANALYSIS_REPAIR_ROUNDS = 1;
+const VALUE_RATIONALE_MAX_LENGTH = 300;
+// Theme labels kept per row, the primary included. The rules get the same
+// limit.
+const MAX_THEME_LABELS = 3;
+
+// Theme given to feedback the model cannot place
+export const FALLBACK_THEME = 'other';
+
+// Where labels came from: the model, the built-in rules (src/rules.js) or a
+// person correcting them. Rule-based analyses use RULES_MODEL as their model.
+export const ANALYSIS_SOURCES = ['ai', 'rules', 'human'];
+export const RULES_MODEL = 'rules';
+
+// Text sent to the model for a feedback row: title and content
+export function analysisText(row) {
+  return row.title ? `${row.title}\n\n${row.content}` : row.content;
+}
+
+// Pull the JSON object out of a model response
+export function parseAnalysisJson(text) {
+  const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON found in response');
+  }
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (parseError) {
+    throw new Error(`Malformed JSON: ${parseError.message}`);
+  }
+}
+
+// Check a parsed response against the analysis contract. Enum fields must
+// be one of the allowed values (case-insensitive; themes come from the
+// taxonomy) and sentiment_score must be numeric; it is clamped to [-1, 1].
+// Returns { errors, analysis }.
+export function validateAnalysis(raw, themeSlugs) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { errors: ['Response must be a JSON object'], analysis: null };
+  }
+
+  const errors = [];
+  const analysis = {};
+
+  const enums = [['sentiment', SENTIMENTS], ['theme', themeSlugs], ['urgency', URGENCIES], ['value_score', VALUE_SCORES]];
+  for (const [field, allowed] of enums) {
+    const value = typeof raw[field] === 'string' ? raw[field].trim().toLowerCase() : raw[field];
+    if (!allowed.includes(value)) {
+      errors.push(`${field} must be one of: ${allowed.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    analysis[field] = value;
+  }
+
+  const score = typeof raw.sentiment_score === 'string' && raw.sentiment_score.trim() !== ''
+    ? Number(raw.sentiment_score)
+    : raw.sentiment_score;
+  if (typeof score !== 'number' || !Number.isFinite(score)) {
+    errors.push('sentiment_score must be a number from -1 to 1');
+  }
+  analysis.sentiment_score = Math.min(1, Math.max(-1, Number(score) || 0));
+
+  analysis.themes = normalizeThemeLabels(raw.themes, analysis.theme, themeSlugs);
+  analysis.value_rationale = typeof raw.value_rationale === 'string'
+    ? raw.value_rationale.trim().slice(0, VALUE_RATIONALE_MAX_LENGTH)
+    : '';
+  analysis.summary = typeof raw.summary === 'string' ? raw.summary.trim() : '';
+
+  return { errors, analysis };
+}
+
+// Turn the model's themes list into [{ theme, confidence }] labels: unknown
+// themes and duplicates are dropped, confidence is clamped to [0, 1] and the
+// primary theme always comes first.
+function normalizeThemeLabels(rawLabels, primary, themeSlugs) {
+  const labels = new Map();
+  for (const label of Array.isArray(rawLabels) ? rawLabels : []) {
+    const theme = typeof label === 'string' ? label : label && label.theme;
+    const name = typeof theme === 'string' ? theme.trim().toLowerCase() : null;
+    if (!themeSlugs.includes(name) || labels.has(name)) continue;
+    const confidence = Number(label && label.confidence);
+    labels.set(name, Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 1);
+  }
+
+  const primaryConfidence = labels.has(primary) ? labels.get(primary) : 1;
+  labels.delete(primary);
+  const secondary = [...labels]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_THEME_LABELS - 1)
+    .map(([theme, confidence]) => ({ theme, confidence }));
+
+  return [{ theme: primary, confidence: primaryConfidence }, ...secondary];
+}
+
+// Rule-based analysis. Without a reason it is the configured engine
+// (status 'ok'); with one it stands in for a model that failed
+// (status 'fallback', plus the reason).
+export function rulesAnalysis(content, taxonomy, reason) {
+  return {
+    status: reason ? 'fallback' : 'ok',
+    source: 'rules',
+    model: RULES_MODEL,
+    prompt_version: null,
+    ...(reason ? { reason } : {}),
+    ...classifyWithRules(content, taxonomy, FALLBACK_THEME, MAX_THEME_LABELS),
+  };
+}
+
+// Run feedback through the AI provider and validate the result. A response
+// that is not valid JSON or breaks the contract is sent back to the model
+// with the problems listed, up to ANALYSIS_REPAIR_ROUNDS times. Returns the
+// analysis with status 'ok', 'repaired' (valid after a repair round) or
+// 'fallback' (rule-based labels plus the reason). Valid analyses carry the
+// model and prompt_version that produced them. The rules answer directly
+// when ANALYSIS_ENGINE is "rules" or no provider is available. Errors from
+// the provider itself (or its configuration) are thrown.
+export async function runAnalysis(env, content, taxonomy) {
+  const provider = env.ANALYSIS_ENGINE === 'rules' ? null : getProvider(env);
+  if (!provider) {
+    return rulesAnalysis(content, taxonomy);
+  }
+
+  const prompt = PROMPTS.analysis;
+  const themeSlugs = taxonomy.map(theme => theme.slug);
+  const messages = [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user({ content, taxonomy, maxThemes: MAX_THEME_LABELS }) }
+  ];
+  let reason;
+  let rawResponse;
+
+  for (let round = 0; round <= ANALYSIS_REPAIR_ROUNDS; round++) {
+    const { text, model } = await provider.generate('analysis', messages);
+    rawResponse = text;
+
+    let errors;
+    let analysis;
+    try {
+      ({ errors, analysis } = validateAnalysis(parseAnalysisJson(rawResponse), themeSlugs));
+    } catch (parseError) {
+      errors = [parseError.message];
+    }
+
+    if (errors.length === 0) {
+      return {
+        status: round === 0 ? 'ok' : 'repaired',
+        source: 'ai',
+        model,
+        prompt_version: prompt.version,
+        ...analysis,
+      };
+    }
+
+    reason = errors.join('; ');
+    messages.push(
+      { role: 'assistant', content: rawResponse },
+      { role: 'user', content: prompt.repair(reason) }
+    );
+  }
+
+  return { ...rulesAnalysis(content, taxonomy, `Invalid model response: ${reason}`), raw_response: rawResponse };
+}
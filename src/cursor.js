@@ -0,0 +1,24 @@
+/**
+ * Keyset pagination cursors for /api/feedback - the sort value and id of
+ * the row a page starts after, with the sort, order and direction they
+ * belong to, as base64url JSON.
+ *
+ * Cursors come back from clients, so decoding rejects anything that is not
+ * an object with an integer id and a string or number sort value.
+ */
+
+// base64url without padding, so the cursor can go in a query string as is
+export function encodeCursor(data) {
+  return btoa(JSON.stringify(data)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// The cursor's data, or null if it is malformed
+export function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.id)) return null;
+    return typeof data.value === 'string' || Number.isFinite(data.value) ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Discord interactions connector - request signature verification, the
+ * application commands and the mapping from an interaction to a feedback
+ * item and back to a reply.
+ *
+ * Two commands capture feedback: the /feedback slash command (text typed
+ * by the user) and the "Send to Feedback Analyzer" message context action
+ * (the message right-clicked). Register them with
+ * scripts/register-discord-commands.js.
+ */
+
+// Interaction and response types used here (Discord API v10)
+export const INTERACTION_TYPES = { PING: 1, APPLICATION_COMMAND: 2 };
+export const RESPONSE_TYPES = {
+  PONG: 1,
+  CHANNEL_MESSAGE: 4,
+  DEFERRED_CHANNEL_MESSAGE: 5,
+};
+const COMMAND_TYPES = { CHAT_INPUT: 1, MESSAGE: 3 };
+const OPTION_TYPES = { STRING: 3 };
+
+// Replies only the invoking user can see
+export const EPHEMERAL = 64;
+
+export const DISCORD_API = 'https://discord.com/api/v10';
+
+const FEEDBACK_COMMAND = 'feedback';
+const MESSAGE_COMMAND = 'Send to Feedback Analyzer';
+
+// Command definitions, as registered with Discord
+export const DISCORD_COMMANDS = [
+  {
+    name: FEEDBACK_COMMAND,
+    type: COMMAND_TYPES.CHAT_INPUT,
+    description: 'Send product feedback to the Feedback Analyzer',
+    options: [
+      { name: 'text', description: 'Your feedback', type: OPTION_TYPES.STRING, required: true, max_length: 5000 },
+    ],
+  },
+  {
+    name: MESSAGE_COMMAND,
+    type: COMMAND_TYPES.MESSAGE,
+  },
+];
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  return bytes;
+}
+
+// Check the X-Signature-Ed25519 header: the application's public key must
+// have signed the X-Signature-Timestamp header followed by the raw body
+export async function verifyDiscordSignature(publicKey, body, signature, timestamp) {
+  if (!signature || !timestamp || !/^[0-9a-f]{128}$/i.test(signature)) return false;
+  try {
+    const key = await crypto.subtle.importKey('raw', hexToBytes(publicKey), { name: 'Ed25519' }, false, ['verify']);
+    return await crypto.subtle.verify('Ed25519', key, hexToBytes(signature), new TextEncoder().encode(timestamp + body));
+  } catch {
+    return false;
+  }
+}
+
+// Map an application command interaction to a feedback item: { item } with
+// channel, content, author, created_at, external_id and source_url, or
+// { error } with a message for the user.
+export function discordFeedbackItem(interaction) {
+  const data = interaction.data || {};
+  const user = (interaction.member && interaction.member.user) || interaction.user || {};
+
+  if (data.name === FEEDBACK_COMMAND && data.type === COMMAND_TYPES.CHAT_INPUT) {
+    const option = (data.options || []).find(opt => opt.name === 'text');
+    const text = option && typeof option.value === 'string' ? option.value.trim() : '';
+    if (!text) return { error: 'Please include the feedback text.' };
+    return {
+      item: {
+        channel: 'discord',
+        content: text,
+        author: user.username || null,
+        created_at: null,
+        external_id: `discord:interaction:${interaction.id}`,
+        source_url: null,
+        external_status: null,
+      },
+    };
+  }
+
+  if (data.name === MESSAGE_COMMAND && data.type === COMMAND_TYPES.MESSAGE) {
+    const message = data.resolved && data.resolved.messages && data.resolved.messages[data.target_id];
+    if (!message) return { error: 'Could not read that message.' };
+    if (!message.content || !message.content.trim()) return { error: 'That message has no text to analyze.' };
+    return {
+      item: {
+        channel: 'discord',
+        content: message.content,
+        author: message.author ? message.author.username : null,
+        created_at: message.timestamp || null,
+        external_id: `discord:message:${message.id}`,
+        source_url: `https://discord.com/channels/${interaction.guild_id || '@me'}/${message.channel_id}/${message.id}`,
+        external_status: null,
+      },
+    };
+  }
+
+  return { error: `Unknown command: ${data.name}` };
+}
+
+// Reply text with the analysis verdict for a stored feedback row
+export function formatDiscordVerdict({ id, stored, sentiment, sentiment_score, theme, urgency, source }) {
+  const score = typeof sentiment_score === 'number' ? ` (${sentiment_score >= 0 ? '+' : ''}${sentiment_score.toFixed(2)})` : '';
+  return [
+    stored ? `✅ Saved to Feedback Analyzer as #${id}` : `ℹ️ Already in Feedback Analyzer as #${id}`,
+    `**Sentiment:** ${sentiment}${score} · **Theme:** ${theme} · **Urgency:** ${urgency}`,
+    ...(source === 'rules' ? ['_Labeled by the built-in rules (AI disabled or unavailable)._'] : []),
+  ].join('\n');
+}
+
+// Replace the deferred "thinking" reply with the final text
+export async function editDiscordReply(interaction, content) {
+  const res = await fetch(`${DISCORD_API}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ content }),
+  });
+  if (!res.ok) {
+    throw new Error(`Discord reply failed (${res.status}): ${(await res.text()).slice(0, 200)}`);
+  }
+}
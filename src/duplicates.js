@@ -0,0 +1,108 @@
+/**
+ * Near-duplicate detection - word shingles compared by Jaccard similarity,
+ * and the grouping of reports into duplicate groups.
+ *
+ * Kept free of Worker bindings: the caller loads candidate rows from D1 and
+ * saves the group changes matchDuplicates() returns.
+ */
+
+// Reports whose word shingles overlap by at least DUPLICATE_THRESHOLD
+// (Jaccard) within DUPLICATE_WINDOW_DAYS of each other are grouped. Very
+// short texts are never grouped.
+const DUPLICATE_THRESHOLD = 0.6;
+export const DUPLICATE_WINDOW_DAYS = 30;
+const DUPLICATE_MIN_TOKENS = 4;
+
+// Common words ignored when comparing feedback text or picking keywords
+export const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'but', 'by', 'can', 'for', 'from', 'get', 'has', 'have', 'i', 'if', 'in', 'is', 'it', 'its',
+  'just', 'like', 'me', 'my', 'not', 'of', 'on', 'or', 'our', 'really', 'so', 'some', 'than',
+  'that', 'the', 'then', 'there', 'they', 'this', 'to', 'very', 'was', 'we', 'what', 'when',
+  'with', 'would', 'you', 'your',
+]);
+
+// Normalized word shingles (single words plus adjacent pairs) used to spot
+// near-duplicate reports. Returns null for texts too short to compare.
+export function duplicateShingles(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    // Fold simple plurals so "cold starts" matches "cold start"
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  if (words.length < DUPLICATE_MIN_TOKENS) return null;
+
+  const pairs = [];
+  for (let i = 1; i < words.length; i++) {
+    pairs.push(`${words[i - 1]} ${words[i]}`);
+  }
+  return { shingles: new Set([...words, ...pairs]), pairs: [...new Set(pairs)] };
+}
+
+export function jaccardSimilarity(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const item of small) {
+    if (large.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Walk rows in id order; each target row without a group joins the group
+// of the most similar earlier row within the time window. A group's id is
+// the id of its first report. Only earlier rows sharing a word pair are
+// compared. Returns a Map of id -> group id for rows whose group changed.
+export function matchDuplicates(rows, targets) {
+  const windowMs = DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const groups = new Map();
+  const changes = new Map();
+  const index = new Map();
+
+  for (const row of rows) {
+    if (row.duplicate_group_id) groups.set(row.id, row.duplicate_group_id);
+  }
+
+  for (const row of [...rows].sort((a, b) => a.id - b.id)) {
+    const parsed = duplicateShingles(row.content);
+    if (!parsed) continue;
+    const entry = { id: row.id, time: Date.parse(`${row.created_at.replace(' ', 'T')}Z`), shingles: parsed.shingles };
+
+    if (targets.has(row.id) && !groups.has(row.id)) {
+      const compared = new Set();
+      let best = null;
+      let bestScore = DUPLICATE_THRESHOLD;
+
+      for (const pair of parsed.pairs) {
+        for (const candidate of index.get(pair) || []) {
+          if (compared.has(candidate.id)) continue;
+          compared.add(candidate.id);
+          if (Math.abs(candidate.time - entry.time) > windowMs) continue;
+
+          const score = jaccardSimilarity(entry.shingles, candidate.shingles);
+          if (score >= bestScore) {
+            best = candidate;
+            bestScore = score;
+          }
+        }
+      }
+
+      if (best) {
+        const group = groups.get(best.id) || best.id;
+        for (const id of [best.id, row.id]) {
+          if (groups.get(id) !== group) {
+            groups.set(id, group);
+            changes.set(id, group);
+          }
+        }
+      }
+    }
+
+    for (const pair of parsed.pairs) {
+      if (!index.has(pair)) index.set(pair, []);
+      index.get(pair).push(entry);
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,224 @@
+/**
+ * Inbound email connector - a small MIME parser plus the clean-up that
+ * turns an email into feedback text.
+ *
+ * parseEmail() handles folded and RFC 2047 encoded headers, nested
+ * multipart bodies, base64 and quoted-printable transfer encodings and
+ * charsets. extractReplyText() drops quoted replies and signatures so a
+ * follow-up only contributes what the customer newly wrote.
+ */
+
+// Lines that start the quoted original in a reply, or a signature
+const QUOTE_HEADER_PATTERNS = [
+  /^On .+wrote:\s*$/i,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}/i,
+  /^_{20,}\s*$/,
+];
+const SIGNATURE_PATTERNS = [
+  /^-- ?$/,
+  /^Sent from my /i,
+  /^Get Outlook for /i,
+];
+
+// Precedence values of automatic mail (out-of-office replies, newsletters).
+// 'list' is allowed: support@ addresses are often mailing-list groups.
+const AUTOMATED_PRECEDENCE = ['bulk', 'junk', 'auto_reply'];
+
+// Bytes as a string with one character per byte, so encodings can be
+// undone before the charset is applied
+function bytesToBinary(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function binaryToBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+// Decode bytes in a charset, falling back to UTF-8 for unknown charsets
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeBase64(text) {
+  try {
+    return atob(text.replace(/[^A-Za-z0-9+/=]/g, ''));
+  } catch {
+    return '';
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  return text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header value
+function decodeHeaderValue(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const binary = encoding.toUpperCase() === 'B'
+        ? decodeBase64(text)
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(binaryToBytes(binary), charset.replace(/\*.*$/, ''));
+    });
+}
+
+// Split a MIME entity into its headers (lowercased names, first
+// occurrence wins) and body
+function splitEntity(text) {
+  const match = text.match(/\r?\n\r?\n/);
+  const head = match ? text.slice(0, match.index) : text;
+  const body = match ? text.slice(match.index + match[0].length) : '';
+
+  const headers = new Map();
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!headers.has(name)) headers.set(name, line.slice(colon + 1).trim());
+  }
+  return { headers, body };
+}
+
+// "text/plain; charset=utf-8" -> { type: 'text/plain', params: { charset: 'utf-8' } }
+function parseHeaderParams(value) {
+  const [type, ...rest] = (value || '').split(';');
+  const params = {};
+  for (const part of rest) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+// Collect the first text/plain and text/html bodies of an entity,
+// descending into multipart parts and skipping attachments
+function collectBodies(text, found) {
+  const { headers, body } = splitEntity(text);
+  const contentType = parseHeaderParams(headers.get('content-type') || 'text/plain');
+  const disposition = parseHeaderParams(headers.get('content-disposition'));
+
+  if (contentType.type.startsWith('multipart/') && contentType.params.boundary) {
+    const delimiter = `--${contentType.params.boundary}`;
+    const parts = body.split(delimiter).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      collectBodies(part.replace(/^\r?\n/, ''), found);
+    }
+    return found;
+  }
+
+  if (disposition.type === 'attachment') return found;
+  const kind = contentType.type === 'text/plain' ? 'text' : contentType.type === 'text/html' ? 'html' : null;
+  if (!kind || found[kind] !== null) return found;
+
+  const encoding = (headers.get('content-transfer-encoding') || '').toLowerCase();
+  const binary = encoding === 'base64' ? decodeBase64(body)
+    : encoding === 'quoted-printable' ? decodeQuotedPrintable(body)
+    : body;
+  found[kind] = decodeCharset(binaryToBytes(binary), contentType.params.charset);
+  return found;
+}
+
+// Message-IDs in a header, without angle brackets
+function parseMessageIds(value) {
+  return ((value || '').match(/<[^<>\s]+>/g) || []).map(id => id.slice(1, -1));
+}
+
+// "Jane Doe <jane@example.com>" -> { name: 'Jane Doe', address: 'jane@example.com' }
+function parseMailbox(value) {
+  const match = (value || '').match(/^\s*(?:"?([^"<]*?)"?\s*)?<([^<>]+)>\s*$/);
+  if (match) return { name: match[1] ? match[1].trim() : null, address: match[2].trim() };
+  return { name: null, address: (value || '').trim() || null };
+}
+
+// Parse a raw RFC 822 message (bytes or string). Returns the headers plus
+// subject, from, messageId, inReplyTo, references, date, text and html.
+export function parseEmail(raw) {
+  const binary = typeof raw === 'string' ? bytesToBinary(new TextEncoder().encode(raw)) : bytesToBinary(raw);
+  const { headers } = splitEntity(binary);
+  const decoded = name => (headers.has(name) ? decodeHeaderValue(decodeCharset(binaryToBytes(headers.get(name)))) : null);
+  const { text, html } = collectBodies(binary, { text: null, html: null });
+
+  return {
+    headers,
+    subject: decoded('subject'),
+    from: parseMailbox(decoded('from')),
+    messageId: parseMessageIds(headers.get('message-id'))[0] || null,
+    inReplyTo: parseMessageIds(headers.get('in-reply-to')),
+    references: parseMessageIds(headers.get('references')),
+    date: headers.get('date') || null,
+    text,
+    html,
+  };
+}
+
+// Whether a message was sent automatically (auto-replies, bounces,
+// newsletters), so it is not stored and no reply loop can start
+export function isAutomatedEmail(email) {
+  const autoSubmitted = (email.headers.get('auto-submitted') || 'no').toLowerCase();
+  const precedence = (email.headers.get('precedence') || '').toLowerCase();
+  return autoSubmitted !== 'no'
+    || AUTOMATED_PRECEDENCE.includes(precedence)
+    || email.headers.has('x-autoreply')
+    || /^(mailer-daemon|postmaster)@/i.test(email.from.address || '');
+}
+
+// Plain text from an HTML body: quoted blocks, styles and scripts are
+// dropped, block elements become line breaks and entities are decoded
+export function htmlToText(html) {
+  return html
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// The text a sender newly wrote: everything before the quoted original or
+// the signature, without '>' quoted lines
+export function extractReplyText(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trimEnd();
+    // "On <date>, <name> wrote:" is often wrapped onto two lines
+    const withNext = `${line} ${(lines[i + 1] || '').trim()}`;
+    if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line) || pattern.test(withNext))) break;
+    // Outlook quotes start with a From:/Sent: header block
+    if (/^From: /.test(line) && lines.slice(i + 1, i + 4).some(next => /^(Sent|Date): /.test(next))) break;
+    if (SIGNATURE_PATTERNS.some(pattern => pattern.test(line))) break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// A subject without reply and forward prefixes
+export function cleanSubject(subject) {
+  return (subject || '').replace(/^\s*((re|fwd?|aw|sv)\s*(\[\d+\])?\s*:\s*)+/i, '').trim();
+}
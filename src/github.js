@@ -0,0 +1,94 @@
+/**
+ * GitHub webhook connector - signature verification and the mapping from
+ * `issues` and `issue_comment` events to feedback items.
+ *
+ * Issues and their comments each become one feedback row, keyed by an
+ * external_id. Every event carries the full issue or comment, so opened,
+ * edited, closed and reopened events all map to the item's current state
+ * and the Worker upserts it.
+ */
+
+import { hmac, timingSafeEqual, toHex } from './signatures.js';
+
+// Issue and comment actions that are turned into feedback
+const ISSUE_ACTIONS = ['opened', 'edited', 'closed', 'reopened', 'deleted'];
+const COMMENT_ACTIONS = ['created', 'edited', 'deleted'];
+
+// Check the X-Hub-Signature-256 header ("sha256=<hex>") against the raw
+// request body
+export async function verifyGitHubSignature(secret, body, signatureHeader) {
+  if (!signatureHeader || !signatureHeader.startsWith('sha256=')) return false;
+  const expected = toHex(await hmac('SHA-256', secret, body));
+  return timingSafeEqual(signatureHeader.slice('sha256='.length).toLowerCase(), expected);
+}
+
+// GitHub sends JSON, or form-encoded with the JSON in a payload field when
+// the webhook is set up that way. Returns null if neither parses.
+export function parseGitHubPayload(body, contentType) {
+  try {
+    if ((contentType || '').includes('application/x-www-form-urlencoded')) {
+      return JSON.parse(new URLSearchParams(body).get('payload'));
+    }
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+}
+
+// Map a webhook event to a feedback item: { item } with channel, title,
+// content, author, created_at, external_id, source_url and external_status
+// (deleted items carry only external_id and external_status), or
+// { ignored } with the reason.
+export function githubFeedbackItem(event, payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { ignored: 'Empty payload' };
+  }
+
+  const { action, issue, comment } = payload;
+  if (event === 'issues' && issue && ISSUE_ACTIONS.includes(action)) {
+    if (issue.pull_request) return { ignored: 'Pull requests are not feedback' };
+    if (issue.user && issue.user.type === 'Bot') return { ignored: 'Opened by a bot' };
+
+    const externalId = `github:issue:${issue.id}`;
+    if (action === 'deleted') {
+      return { item: { external_id: externalId, external_status: 'deleted' } };
+    }
+    return {
+      item: {
+        channel: 'github',
+        title: issue.title,
+        content: issue.body || issue.title,
+        author: issue.user ? issue.user.login : null,
+        created_at: issue.created_at,
+        external_id: externalId,
+        source_url: issue.html_url,
+        external_status: issue.state,
+      },
+    };
+  }
+
+  if (event === 'issue_comment' && comment && issue && COMMENT_ACTIONS.includes(action)) {
+    if (issue.pull_request) return { ignored: 'Pull request comments are not feedback' };
+    if (comment.user && comment.user.type === 'Bot') return { ignored: 'Written by a bot' };
+
+    const externalId = `github:comment:${comment.id}`;
+    if (action === 'deleted') {
+      return { item: { external_id: externalId, external_status: 'deleted' } };
+    }
+    if (!comment.body || !comment.body.trim()) return { ignored: 'Empty comment' };
+    return {
+      item: {
+        channel: 'github',
+        title: `Re: ${issue.title}`,
+        content: comment.body,
+        author: comment.user ? comment.user.login : null,
+        created_at: comment.created_at,
+        external_id: externalId,
+        source_url: comment.html_url,
+        external_status: null,
+      },
+    };
+  }
+
+  return { ignored: `Unsupported event: ${event}${action ? `.${action}` : ''}` };
+}
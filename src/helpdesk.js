@@ -0,0 +1,238 @@
+/**
+ * Helpdesk webhook connector - a generic adapter that maps ticket webhook
+ * payloads to feedback items through per-provider field mappings.
+ *
+ * A mapping names the secret that verifies requests, how the signature is
+ * sent, and where each feedback field sits in the payload. Field specs are
+ * a dotted path ('ticket.priority'), a list of paths (first non-empty wins)
+ * or a template with {path} placeholders. Zendesk and Intercom are built in;
+ * HELPDESK_MAPPINGS (JSON keyed by provider) adjusts them or adds others.
+ */
+
+import { hmac, timingSafeEqual, toBase64, toHex } from './signatures.js';
+import { htmlToText } from './email.js';
+
+// Built-in mappings. The Zendesk one expects the JSON body of the trigger
+// shown in the README; Intercom sends its own conversation topics.
+export const HELPDESK_MAPPINGS = {
+  zendesk: {
+    secret: 'ZENDESK_WEBHOOK_SECRET',
+    // Base64 HMAC-SHA256 of the timestamp header followed by the body
+    signature: {
+      header: 'X-Zendesk-Webhook-Signature',
+      timestampHeader: 'X-Zendesk-Webhook-Signature-Timestamp',
+      hash: 'SHA-256',
+      encoding: 'base64',
+    },
+    delivery: { header: 'X-Zendesk-Webhook-Invocation-Id' },
+    kind: 'ticket',
+    fields: {
+      id: 'ticket.id',
+      title: 'ticket.title',
+      content: 'ticket.description',
+      author: 'ticket.requester',
+      organization: 'ticket.organization',
+      priority: 'ticket.priority',
+      status: 'ticket.status',
+      url: 'ticket.url',
+      created_at: 'ticket.created_at',
+    },
+  },
+  intercom: {
+    secret: 'INTERCOM_CLIENT_SECRET',
+    // Hex HMAC-SHA1 of the body, signed with the app's client secret
+    signature: { header: 'X-Hub-Signature', prefix: 'sha1=', hash: 'SHA-1', encoding: 'hex' },
+    delivery: { path: 'id' },
+    event: {
+      path: 'topic',
+      accept: [
+        'conversation.user.created',
+        'conversation.user.replied',
+        'conversation.admin.closed',
+        'conversation.admin.opened',
+        'conversation.admin.snoozed',
+        'conversation.admin.unsnoozed',
+        'conversation.priority.updated',
+      ],
+    },
+    // Outbound messages started by the team are not customer feedback
+    skip: [{ path: 'data.item.source.delivered_as', values: ['admin_initiated', 'automated'] }],
+    kind: 'conversation',
+    html: true,
+    fields: {
+      id: 'data.item.id',
+      title: 'data.item.source.subject',
+      content: 'data.item.source.body',
+      author: ['data.item.source.author.name', 'data.item.source.author.email'],
+      organization: 'data.item.custom_attributes.company',
+      priority: 'data.item.priority',
+      status: 'data.item.state',
+      url: 'https://app.intercom.com/a/apps/{app_id}/inbox/inbox/conversation/{data.item.id}',
+      created_at: 'data.item.created_at',
+    },
+    values: {
+      priority: { priority: 'high', not_priority: 'normal' },
+    },
+  },
+};
+
+// Priority and status labels are short lowercase words
+const LABEL_MAX_LENGTH = 40;
+
+// The mapping for a provider, with HELPDESK_MAPPINGS applied, or null if
+// there is none. Throws if HELPDESK_MAPPINGS is not valid JSON.
+export function getHelpdeskMapping(env, provider) {
+  let custom = {};
+  if (env.HELPDESK_MAPPINGS) {
+    try {
+      custom = JSON.parse(env.HELPDESK_MAPPINGS);
+    } catch {
+      custom = null;
+    }
+    if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+      throw new Error('HELPDESK_MAPPINGS must be a JSON object keyed by provider');
+    }
+  }
+
+  const builtIn = Object.hasOwn(HELPDESK_MAPPINGS, provider) ? HELPDESK_MAPPINGS[provider] : null;
+  const override = Object.hasOwn(custom, provider) ? custom[provider] : null;
+  if (!builtIn && !override) return null;
+
+  const mapping = {
+    ...builtIn,
+    ...override,
+    fields: { ...(builtIn && builtIn.fields), ...(override && override.fields) },
+  };
+  if (!mapping.secret || !mapping.signature || !mapping.signature.header || !mapping.fields.id || !mapping.fields.content) {
+    throw new Error(`Helpdesk mapping "${provider}" needs secret, signature.header, fields.id and fields.content`);
+  }
+  return mapping;
+}
+
+// Read a dotted path ('data.item.id', 'tags.0') from a payload
+function readPath(payload, path) {
+  let value = payload;
+  for (const key of path.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Resolve a field spec against a payload. Templates resolve to null when a
+// placeholder is missing.
+function readField(payload, spec) {
+  if (!spec) return null;
+  if (Array.isArray(spec)) {
+    for (const path of spec) {
+      const value = readField(payload, path);
+      if (isPresent(value)) return value;
+    }
+    return null;
+  }
+  if (spec.includes('{')) {
+    let missing = false;
+    const text = spec.replace(/\{([^{}]+)\}/g, (match, path) => {
+      const value = readPath(payload, path.trim());
+      if (!isPresent(value)) missing = true;
+      return isPresent(value) ? encodeURIComponent(String(value)) : '';
+    });
+    return missing ? null : text;
+  }
+  const value = readPath(payload, spec);
+  return isPresent(value) ? value : null;
+}
+
+// Check a request against the mapping's signature scheme. Without a hash
+// the header must carry the secret itself (a shared token).
+export async function verifyHelpdeskSignature(mapping, secret, body, headers) {
+  const { header, timestampHeader, prefix = '', hash, encoding = 'hex' } = mapping.signature;
+  const received = headers.get(header);
+  if (!received || !received.startsWith(prefix)) return false;
+  const signature = received.slice(prefix.length);
+
+  if (!hash) return timingSafeEqual(signature, secret);
+
+  const timestamp = timestampHeader ? headers.get(timestampHeader) : '';
+  if (timestampHeader && !timestamp) return false;
+  const digest = await hmac(hash, secret, timestamp + body);
+  return encoding === 'base64'
+    ? timingSafeEqual(signature, toBase64(digest))
+    : timingSafeEqual(signature.toLowerCase(), toHex(digest));
+}
+
+// The delivery id used to spot redeliveries, if the provider sends one
+export function helpdeskDeliveryId(mapping, payload, headers) {
+  const delivery = mapping.delivery || {};
+  const id = delivery.header ? headers.get(delivery.header) : delivery.path ? readField(payload, delivery.path) : null;
+  return isPresent(id) ? String(id) : null;
+}
+
+// A priority or status as a short lowercase label, translated through the
+// mapping's values table
+function toLabel(mapping, field, raw) {
+  if (!isPresent(raw)) return null;
+  const label = String(raw).trim().toLowerCase().slice(0, LABEL_MAX_LENGTH);
+  const table = mapping.values && mapping.values[field];
+  return table && Object.hasOwn(table, label) ? table[label] : label;
+}
+
+// Map a webhook payload to a feedback item: { item } with channel, title,
+// content, author, organization, created_at, external_id, source_url,
+// external_status and external_priority, or { ignored } with the reason.
+export function helpdeskFeedbackItem(provider, mapping, payload) {
+  if (!payload || typeof payload !== 'object') {
+    return { ignored: 'Empty payload' };
+  }
+
+  if (mapping.event) {
+    const event = readField(payload, mapping.event.path);
+    if (mapping.event.accept && !mapping.event.accept.includes(event)) {
+      return { ignored: `Unsupported event: ${event}` };
+    }
+  }
+  for (const rule of mapping.skip || []) {
+    const value = readField(payload, rule.path);
+    if (isPresent(value) && rule.values.includes(String(value))) {
+      return { ignored: `Skipped: ${rule.path} is ${value}` };
+    }
+  }
+
+  const { fields } = mapping;
+  const id = readField(payload, fields.id);
+  if (!isPresent(id)) return { ignored: 'No ticket id in payload' };
+
+  const text = spec => {
+    const value = readField(payload, spec);
+    if (!isPresent(value)) return null;
+    return mapping.html ? htmlToText(String(value)).trim() : String(value);
+  };
+  const title = text(fields.title);
+  const content = text(fields.content) || title;
+  if (!content) return { ignored: 'No ticket text in payload' };
+
+  // Some helpdesks link to tickets without the scheme
+  const url = readField(payload, fields.url);
+  const sourceUrl = isPresent(url) ? (/^https?:\/\//.test(url) ? String(url) : `https://${url}`) : null;
+  const author = readField(payload, fields.author);
+  const organization = readField(payload, fields.organization);
+
+  return {
+    item: {
+      channel: mapping.channel || 'support',
+      title,
+      content,
+      author: isPresent(author) ? String(author) : null,
+      organization: isPresent(organization) ? String(organization) : null,
+      created_at: readField(payload, fields.created_at),
+      external_id: `${provider}:${mapping.kind || 'ticket'}:${id}`,
+      source_url: sourceUrl,
+      external_status: toLabel(mapping, 'status', readField(payload, fields.status)),
+      external_priority: toLabel(mapping, 'priority', readField(payload, fields.priority)),
+    },
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Bulk import parsing - CSV and JSON Lines uploads turned into feedback
+ * inputs for POST /api/import.
+ *
+ * Columns (CSV headers or JSON keys) are matched to feedback fields by
+ * known aliases, so Zendesk and Discord bot exports import as they are;
+ * an explicit mapping overrides the aliases. Validation of the resulting
+ * inputs is left to the caller.
+ */
+
+// Known column names (normalized) for each feedback field in imports,
+// covering Zendesk and Discord bot exports
+export const IMPORT_COLUMN_ALIASES = {
+  created_at: ['created_at', 'created', 'date', 'timestamp', 'time', 'submitted_at'],
+  channel: ['channel', 'source', 'via'],
+  title: ['title', 'subject', 'summary'],
+  content: ['content', 'description', 'body', 'message', 'comment', 'text'],
+  author: ['author', 'requester', 'requester_name', 'username', 'user', 'name', 'submitter'],
+};
+
+// Parse CSV text into an array of records (arrays of strings).
+// Handles quoted fields, escaped quotes and newlines inside quotes.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Normalize a column header or JSON key for alias matching
+function normalizeColumnName(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Resolve which source column feeds each feedback field. Explicit mappings
+// win; otherwise the first column matching a known alias is used.
+export function resolveColumnMapping(columns, overrides = {}) {
+  const mapping = {};
+  const normalized = columns.map(normalizeColumnName);
+
+  for (const [field, aliases] of Object.entries(IMPORT_COLUMN_ALIASES)) {
+    if (overrides[field]) {
+      const index = normalized.indexOf(normalizeColumnName(overrides[field]));
+      if (index !== -1) mapping[field] = columns[index];
+      continue;
+    }
+    const index = normalized.findIndex(name => aliases.includes(name));
+    if (index !== -1) mapping[field] = columns[index];
+  }
+
+  return mapping;
+}
+
+// Work out whether an upload is CSV or JSON Lines
+export function detectImportFormat(explicitFormat, contentType, filename, text) {
+  const format = (explicitFormat || '').toLowerCase();
+  if (format === 'csv') return 'csv';
+  if (['jsonl', 'ndjson', 'json'].includes(format)) return 'jsonl';
+
+  if (/csv/.test(contentType)) return 'csv';
+  if (/ndjson|jsonl|jsonlines|json/.test(contentType)) return 'jsonl';
+
+  if (filename && /\.csv$/i.test(filename)) return 'csv';
+  if (filename && /\.(jsonl|ndjson)$/i.test(filename)) return 'jsonl';
+
+  return text.trimStart().startsWith('{') ? 'jsonl' : 'csv';
+}
+
+// Turn an upload into { row, input } records plus rows that failed to parse
+export function parseImportRows(format, text, overrides) {
+  const rows = [];
+  const rejected = [];
+
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(text);
+    if (!header) return { rows, rejected, mapping: {} };
+
+    const mapping = resolveColumnMapping(header, overrides);
+    records.forEach((record, index) => {
+      const input = {};
+      for (const [field, column] of Object.entries(mapping)) {
+        input[field] = record[header.indexOf(column)];
+      }
+      rows.push({ row: index + 1, input });
+    });
+    return { rows, rejected, mapping };
+  }
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const keys = new Set();
+  const objects = [];
+
+  lines.forEach((line, index) => {
+    try {
+      const object = JSON.parse(line);
+      if (!object || typeof object !== 'object' || Array.isArray(object)) {
+        throw new Error('not an object');
+      }
+      Object.keys(object).forEach(key => keys.add(key));
+      objects.push({ row: index + 1, object });
+    } catch (parseError) {
+      rejected.push({ row: index + 1, errors: ['Line is not a valid JSON object'] });
+    }
+  });
+
+  const mapping = resolveColumnMapping([...keys], overrides);
+  for (const { row, object } of objects) {
+    const input = {};
+    for (const [field, key] of Object.entries(mapping)) {
+      input[field] = object[key];
+    }
+    rows.push({ row, input });
+  }
+  return { rows, rejected, mapping };
+}
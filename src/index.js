@@ -10,6 +10,178 @@
  * - Workers AI: Sentiment and theme analysis
  */
 
+import {
+  FALLBACK_THEME,
+  SENTIMENTS,
+  URGENCIES,
+  VALUE_SCORES,
+  ANALYSIS_SOURCES,
+  analysisText,
+  parseAnalysisJson,
+  rulesAnalysis,
+  runAnalysis,
+} from './analysis.js';
+import {
+  EPHEMERAL,
+  INTERACTION_TYPES,
+  RESPONSE_TYPES,
+  discordFeedbackItem,
+  editDiscordReply,
+  formatDiscordVerdict,
+  verifyDiscordSignature,
+} from './discord.js';
+import { decodeCursor, encodeCursor } from './cursor.js';
+import { DUPLICATE_WINDOW_DAYS, STOPWORDS, matchDuplicates } from './duplicates.js';
+import { cleanSubject, extractReplyText, htmlToText, isAutomatedEmail, parseEmail } from './email.js';
+import { githubFeedbackItem, parseGitHubPayload, verifyGitHubSignature } from './github.js';
+import { getHelpdeskMapping, helpdeskDeliveryId, helpdeskFeedbackItem, verifyHelpdeskSignature } from './helpdesk.js';
+import { IMPORT_COLUMN_ALIASES, detectImportFormat, parseImportRows } from './import.js';
+import { PROMPTS } from './prompts.js';
+import { generate, getProvider } from './providers.js';
+import {
+  DEFAULT_SLACK_REACTION,
+  SLACK_STORED_REACTION,
+  addSlackReaction,
+  fetchSlackMessage,
+  slackEventAction,
+  slackFeedbackItem,
+  slackPermalink,
+  verifySlackSignature,
+} from './slack.js';
+
+// Channels feedback can be ingested from
+const FEEDBACK_CHANNELS = ['support', 'github', 'discord', 'twitter', 'forum', 'email', 'slack'];
+
+// Labels a person can correct with PATCH /api/feedback/:id, and the
+// sentiment_score a corrected sentiment gets when none is given
+const CORRECTABLE_LABELS = ['sentiment', 'theme', 'urgency', 'value_score'];
+const CORRECTED_SENTIMENT_SCORES = { positive: 0.5, neutral: 0, negative: -0.5 };
+const CHANGED_BY_MAX_LENGTH = 100;
+
+// Theme taxonomy: feedback the model cannot place gets FALLBACK_THEME,
+// which cannot be renamed, merged away or deleted
+const UNTHEMED = [FALLBACK_THEME, 'uncategorized'];
+const THEME_SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const TAXONOMY_LIMITS = {
+  slug: 50,
+  display_name: 50,
+  icon: 16,
+  description: 500,
+  keywords: 50,
+};
+
+// daily_metrics theme key for the all-feedback totals row
+const ALL_THEMES = '*';
+
+// Background analysis pipeline settings
+const ANALYSIS_BATCH_SIZE = 20;
+const MAX_ANALYSIS_ATTEMPTS = 3;
+
+// Sort keys for the feedback list and the SQL they sort on
+const FEEDBACK_SORTS = {
+  created_at: 'created_at',
+  sentiment_score: 'COALESCE(sentiment_score, 0)',
+  urgency: "CASE urgency WHEN 'critical' THEN 4 WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END",
+  // Only available with a search query; bm25 is negated so higher is better
+  // and title matches count double
+  relevance: '-bm25(feedback_fts, 2.0, 1.0)',
+};
+const FEEDBACK_MAX_PAGE_SIZE = 100;
+
+// Correlated subquery returning a feedback row's theme labels as a JSON
+// array, primary theme first
+const THEME_LABELS_SQL = `(
+  SELECT json_group_array(json_object('theme', theme, 'confidence', confidence, 'primary', json(CASE WHEN is_primary THEN 'true' ELSE 'false' END)))
+  FROM (SELECT * FROM feedback_themes WHERE feedback_id = feedback.id ORDER BY is_primary DESC, confidence DESC)
+)`;
+
+// Rows whose source item was deleted (external_status 'deleted') stay in the
+// table so their connector can still match them, but are left out of
+// analysis, metrics and the dashboard. Closed or solved items still count:
+// they were real feedback. Only the feedback table has external_status, so
+// the condition needs no table alias in joins; subqueries over feedback
+// itself use activeFeedbackSql with their alias.
+const ACTIVE_FEEDBACK_SQL = "COALESCE(external_status, '') != 'deleted'";
+
+function activeFeedbackSql(alias) {
+  return `COALESCE(${alias}.external_status, '') != 'deleted'`;
+}
+
+// Embedding models for semantic search. 'stub' is a local hashing model
+// for development and tests; it is also used when there is no AI binding.
+const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+const STUB_EMBEDDING_MODEL = 'stub';
+const STUB_EMBEDDING_DIMENSIONS = 256;
+const EMBEDDING_BATCH_SIZE = 50;
+const SIMILAR_MAX_RESULTS = 50;
+// Without Vectorize, searches score this many of the newest stored vectors
+// in the Worker; older rows need Vectorize to be found
+const EMBEDDING_SCAN_MAX_ROWS = 2000;
+
+// Bulk import limits
+const IMPORT_MAX_ROWS = 5000;
+const IMPORT_BATCH_SIZE = 50;
+
+// Near-duplicate detection limits; the matching is in src/duplicates.js
+const DUPLICATE_MAX_CANDIDATES = 5000;
+const DUPLICATE_BACKFILL_BATCH = 500;
+
+// Emerging-theme discovery: feedback left in UNTHEMED themes is clustered
+// by embedding similarity (hourly cron) into candidate themes. The stub
+// embedder scores related texts lower, so it gets its own threshold.
+const THEME_DISCOVERY_CRON = '0 * * * *';
+const THEME_DISCOVERY_MAX_ROWS = 1000;
+const CANDIDATE_SIMILARITY = 0.75;
+const STUB_CANDIDATE_SIMILARITY = 0.3;
+const CANDIDATE_MIN_SIZE = 3;
+const CANDIDATE_MAX_COUNT = 10;
+const CANDIDATE_EXAMPLES = 3;
+const CANDIDATE_STATUSES = ['open', 'accepted', 'dismissed'];
+
+// Endpoints that accept from/to/granularity window parameters
+const ANALYTICS_PATHS = [
+  '/api/overview',
+  '/api/distributions',
+  '/api/themes',
+  '/api/sentiment-trend',
+  '/api/theme-detail',
+];
+
+// Time series bucket sizes and the number of buckets shown when no date
+// range is given
+const GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_TREND_BUCKETS = 14;
+
+// KV cache TTLs (seconds) for dashboard read endpoints. KV requires at
+// least 60 seconds.
+const CACHE_TTLS = {
+  'overview': 60,
+  'distributions': 120,
+  'themes': 120,
+  'sentiment-trend': 300,
+};
+
+// KV key holding the current cache generation; bumping it invalidates
+// every cached dashboard response
+const CACHE_VERSION_KEY = 'cache:version';
+
+// Maximum lengths for ingested text fields
+const FIELD_LIMITS = {
+  title: 200,
+  content: 5000,
+  author: 100,
+  organization: 100,
+};
+
+// Processed webhook delivery ids are kept this long to spot redeliveries
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 7;
+
+// Inbound email: larger messages are rejected, and follow-ups are appended
+// to their thread's row after this separator
+const EMAIL_MAX_BYTES = 1024 * 1024;
+const EMAIL_FOLLOW_UP_SEPARATOR = '\n\n---\n';
+const EMAIL_OMITTED_REPLIES = '[Earlier replies omitted]';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -18,7 +190,7 @@ export default {
     // Enable CORS for API requests
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type',
     };
 
@@ -32,20 +204,109 @@ export default {
         return serveDashboard();
       }
       
+      // Analytics endpoints share the from/to/granularity window parameters
+      let window = null;
+      if (ANALYTICS_PATHS.includes(path)) {
+        window = parseTimeWindow(url);
+        if (window.error) {
+          return new Response(JSON.stringify({ error: window.error }), {
+            status: 400,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          });
+        }
+      }
+
       if (path === '/api/overview') {
-        return await getOverview(env, corsHeaders);
+        return await withCache(env, ctx, url, CACHE_TTLS['overview'], corsHeaders, () => getOverview(env, window, corsHeaders));
       }
       
+      if (path === '/api/feedback' && request.method === 'POST') {
+        return await createFeedback(env, request, corsHeaders);
+      }
+
+      if (path === '/webhooks/github' && request.method === 'POST') {
+        return await handleGitHubWebhook(env, request, corsHeaders);
+      }
+
+      const helpdeskMatch = path.match(/^\/webhooks\/helpdesk\/([a-z0-9-]+)$/);
+      if (helpdeskMatch && request.method === 'POST') {
+        return await handleHelpdeskWebhook(env, helpdeskMatch[1], request, corsHeaders);
+      }
+
+      if (path === '/webhooks/discord' && request.method === 'POST') {
+        return await handleDiscordInteraction(env, request, ctx, corsHeaders);
+      }
+
+      if (path === '/webhooks/slack' && request.method === 'POST') {
+        return await handleSlackEvent(env, request, ctx, corsHeaders);
+      }
+
+      if (path === '/api/import' && request.method === 'POST') {
+        return await importFeedback(env, request, url, corsHeaders);
+      }
+
       if (path === '/api/feedback') {
         return await getFeedback(env, url, corsHeaders);
       }
+
+      const feedbackMatch = path.match(/^\/api\/feedback\/(\d+)(\/history)?$/);
+      if (feedbackMatch && !feedbackMatch[2] && request.method === 'PATCH') {
+        return await correctFeedbackLabels(env, Number(feedbackMatch[1]), request, corsHeaders);
+      }
+      if (feedbackMatch && feedbackMatch[2]) {
+        return await getLabelHistory(env, Number(feedbackMatch[1]), corsHeaders);
+      }
+
+      const similarMatch = path.match(/^\/api\/feedback\/(\d+)\/similar$/);
+      if (similarMatch) {
+        return await getSimilarFeedback(env, Number(similarMatch[1]), url, corsHeaders);
+      }
+
+      if (path === '/api/search/semantic') {
+        return await semanticSearch(env, url, corsHeaders);
+      }
       
       if (path === '/api/themes') {
-        return await getThemes(env, corsHeaders);
+        return await withCache(env, ctx, url, CACHE_TTLS['themes'], corsHeaders, () => getThemes(env, window, corsHeaders));
       }
       
+      if (path === '/api/themes/candidates') {
+        return await getThemeCandidates(env, url, corsHeaders);
+      }
+
+      if (path === '/api/themes/candidates/discover' && request.method === 'POST') {
+        const result = await discoverThemeCandidates(env);
+        return new Response(JSON.stringify(result), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        });
+      }
+
+      const candidateMatch = path.match(/^\/api\/themes\/candidates\/(\d+)\/(accept|dismiss)$/);
+      if (candidateMatch && request.method === 'POST') {
+        return candidateMatch[2] === 'accept'
+          ? await acceptThemeCandidate(env, Number(candidateMatch[1]), request, corsHeaders)
+          : await dismissThemeCandidate(env, Number(candidateMatch[1]), corsHeaders);
+      }
+
+      if (path === '/api/taxonomy') {
+        return request.method === 'POST'
+          ? await createTheme(env, request, corsHeaders)
+          : await listTaxonomy(env, corsHeaders);
+      }
+
+      const taxonomyMatch = path.match(/^\/api\/taxonomy\/([a-z0-9-]+)(\/merge)?$/);
+      if (taxonomyMatch && taxonomyMatch[2] && request.method === 'POST') {
+        return await mergeTheme(env, taxonomyMatch[1], request, corsHeaders);
+      }
+      if (taxonomyMatch && !taxonomyMatch[2] && request.method === 'PATCH') {
+        return await updateTheme(env, taxonomyMatch[1], request, corsHeaders);
+      }
+      if (taxonomyMatch && !taxonomyMatch[2] && request.method === 'DELETE') {
+        return await deleteTheme(env, taxonomyMatch[1], corsHeaders);
+      }
+
       if (path === '/api/sentiment-trend') {
-        return await getSentimentTrend(env, corsHeaders);
+        return await withCache(env, ctx, url, CACHE_TTLS['sentiment-trend'], corsHeaders, () => getSentimentTrend(env, window, corsHeaders));
       }
       
       if (path === '/api/analyze' && request.method === 'POST') {
@@ -54,11 +315,27 @@ export default {
       
       if (path === '/api/theme-detail') {
         const theme = url.searchParams.get('theme');
-        return await getThemeDetail(env, theme, corsHeaders);
+        return await getThemeDetail(env, theme, window, corsHeaders);
       }
 
       if (path === '/api/distributions') {
-        return await getDistributions(env, corsHeaders);
+        return await withCache(env, ctx, url, CACHE_TTLS['distributions'], corsHeaders, () => getDistributions(env, window, corsHeaders));
+      }
+
+      if (path === '/api/duplicates/backfill' && request.method === 'POST') {
+        return await backfillDuplicates(env, corsHeaders);
+      }
+
+      if (path === '/api/metrics/rebuild' && request.method === 'POST') {
+        return await rebuildMetrics(env, request, corsHeaders);
+      }
+
+      if (path === '/api/prompts') {
+        return await getPromptVersions(env, corsHeaders);
+      }
+
+      if (path === '/api/reanalyze' && request.method === 'POST') {
+        return await requestReanalysis(env, request, corsHeaders);
       }
 
       if (path === '/api/summarize' && request.method === 'POST') {
@@ -74,42 +351,155 @@ export default {
       });
     }
   },
+
+  // Cron triggers: hourly theme discovery; otherwise analyze pending
+  // feedback and keep daily_metrics current
+  async scheduled(event, env, ctx) {
+    if (event.cron === THEME_DISCOVERY_CRON) {
+      ctx.waitUntil(discoverThemeCandidates(env));
+    } else {
+      ctx.waitUntil(runScheduledJobs(env));
+    }
+  },
+
+  // Email Routing: messages sent to the Worker's address become feedback
+  async email(message, env, ctx) {
+    await handleInboundEmail(env, message);
+  },
 };
 
+// Serve a read endpoint through the CACHE KV namespace. Keys combine the
+// cache generation, path and sorted query parameters. Without a CACHE
+// binding (or if KV errors) the handler is called directly.
+async function withCache(env, ctx, url, ttl, corsHeaders, handler) {
+  if (!env.CACHE) {
+    return handler();
+  }
+
+  let key;
+  try {
+    const version = (await env.CACHE.get(CACHE_VERSION_KEY)) || '0';
+    const params = [...url.searchParams.entries()].sort(([a], [b]) => a.localeCompare(b));
+    key = `dashboard:${version}:${url.pathname}?${new URLSearchParams(params)}`;
+
+    const cached = await env.CACHE.get(key);
+    if (cached !== null) {
+      return new Response(cached, {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json', 'X-Cache': 'HIT' },
+      });
+    }
+  } catch (error) {
+    console.error('Cache read failed:', error);
+    return handler();
+  }
+
+  const response = await handler();
+  if (response.ok) {
+    const body = await response.clone().text();
+    ctx.waitUntil(
+      env.CACHE.put(key, body, { expirationTtl: ttl })
+        .catch(error => console.error('Cache write failed:', error))
+    );
+    response.headers.set('X-Cache', 'MISS');
+  }
+  return response;
+}
+
+// Invalidate all cached dashboard responses after feedback changes
+async function invalidateDashboardCache(env) {
+  if (!env.CACHE) return;
+
+  try {
+    await env.CACHE.put(CACHE_VERSION_KEY, String(Date.now()));
+  } catch (error) {
+    console.error('Cache invalidation failed:', error);
+  }
+}
+
+// Parse the from/to (YYYY-MM-DD, inclusive) and granularity query
+// parameters. Returns { error } when one is invalid.
+function parseTimeWindow(url) {
+  const from = url.searchParams.get('from') || null;
+  const to = url.searchParams.get('to') || null;
+  const granularity = url.searchParams.get('granularity') || 'day';
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && !(/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)))) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (from && to && from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of: ${GRANULARITIES.join(', ')}` };
+  }
+
+  return { from, to, granularity };
+}
+
+// SQL conditions (each prefixed with AND) limiting a date or timestamp
+// column to the window, plus their bind parameters
+function windowFilter(window, column) {
+  let sql = '';
+  const params = [];
+  if (window.from) {
+    sql += ` AND ${column} >= ?`;
+    params.push(window.from);
+  }
+  if (window.to) {
+    sql += ` AND ${column} < DATE(?, '+1 day')`;
+    params.push(window.to);
+  }
+  return { sql, params };
+}
+
+// SQL expression grouping a date column into day, week (starting Monday)
+// or month buckets
+function windowBucket(window, column) {
+  if (window.granularity === 'week') return `DATE(${column}, '-6 days', 'weekday 1')`;
+  if (window.granularity === 'month') return `strftime('%Y-%m-01', ${column})`;
+  return `DATE(${column})`;
+}
+
 // Get distributions for pie charts
-async function getDistributions(env, corsHeaders) {
+async function getDistributions(env, window, corsHeaders) {
+  const range = windowFilter(window, 'created_at');
+
   // Sentiment distribution
   const sentiment = await env.DB.prepare(`
     SELECT sentiment, COUNT(*) as count
     FROM feedback
-    WHERE analyzed = 1
+    WHERE analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}${range.sql}
     GROUP BY sentiment
-  `).all();
+  `).bind(...range.params).all();
 
   // Urgency distribution
   const urgency = await env.DB.prepare(`
     SELECT urgency, COUNT(*) as count
     FROM feedback
-    WHERE analyzed = 1
+    WHERE analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}${range.sql}
     GROUP BY urgency
-  `).all();
+  `).bind(...range.params).all();
 
   // Value distribution
   const value = await env.DB.prepare(`
     SELECT value_score, COUNT(*) as count
     FROM feedback
-    WHERE analyzed = 1
+    WHERE analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}${range.sql}
     GROUP BY value_score
-  `).all();
+  `).bind(...range.params).all();
 
-  // Theme distribution
+  // Theme distribution (an item counts once for each of its themes)
+  const labelRange = windowFilter(window, 'f.created_at');
   const theme = await env.DB.prepare(`
-    SELECT theme, COUNT(*) as count
-    FROM feedback
-    WHERE analyzed = 1 AND theme != 'uncategorized'
-    GROUP BY theme
+    SELECT ft.theme as theme, COUNT(*) as count
+    FROM feedback_themes ft
+    JOIN feedback f ON f.id = ft.feedback_id
+    WHERE f.analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL} AND ft.theme != 'uncategorized'${labelRange.sql}
+    GROUP BY ft.theme
     ORDER BY count DESC
-  `).all();
+  `).bind(...labelRange.params).all();
 
   return new Response(JSON.stringify({
     sentiment: sentiment.results,
@@ -122,10 +512,13 @@ async function getDistributions(env, corsHeaders) {
 }
 
 // Get overview statistics for the dashboard
-async function getOverview(env, corsHeaders) {
+async function getOverview(env, window, corsHeaders) {
+  const range = windowFilter(window, 'created_at');
+
   const stats = await env.DB.prepare(`
     SELECT 
       COUNT(*) as total_feedback,
+      COUNT(DISTINCT COALESCE(duplicate_group_id, id)) as distinct_issues,
       SUM(CASE WHEN sentiment = 'positive' THEN 1 ELSE 0 END) as positive,
       SUM(CASE WHEN sentiment = 'neutral' THEN 1 ELSE 0 END) as neutral,
       SUM(CASE WHEN sentiment = 'negative' THEN 1 ELSE 0 END) as negative,
@@ -133,46 +526,50 @@ async function getOverview(env, corsHeaders) {
       SUM(CASE WHEN urgency = 'high' THEN 1 ELSE 0 END) as high_count,
       AVG(sentiment_score) as avg_sentiment
     FROM feedback
-    WHERE analyzed = 1
-  `).first();
+    WHERE analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}${range.sql}
+  `).bind(...range.params).first();
 
   // Get top themes needing attention
+  const labelRange = windowFilter(window, 'f.created_at');
   const topThemes = await env.DB.prepare(`
     SELECT 
-      theme,
+      ft.theme as theme,
       COUNT(*) as count,
-      AVG(sentiment_score) as avg_sentiment,
-      SUM(CASE WHEN urgency IN ('critical', 'high') THEN 1 ELSE 0 END) as urgent_count
-    FROM feedback
-    WHERE analyzed = 1 AND theme != 'uncategorized'
-    GROUP BY theme
+      AVG(f.sentiment_score) as avg_sentiment,
+      SUM(CASE WHEN f.urgency IN ('critical', 'high') THEN 1 ELSE 0 END) as urgent_count
+    FROM feedback_themes ft
+    JOIN feedback f ON f.id = ft.feedback_id
+    WHERE f.analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL} AND ft.theme != 'uncategorized'${labelRange.sql}
+    GROUP BY ft.theme
     ORDER BY urgent_count DESC, count DESC
     LIMIT 5
-  `).all();
+  `).bind(...labelRange.params).all();
 
   // Get channel distribution
   const channels = await env.DB.prepare(`
     SELECT channel, COUNT(*) as count
     FROM feedback
+    WHERE ${ACTIVE_FEEDBACK_SQL}${range.sql}
     GROUP BY channel
     ORDER BY count DESC
-  `).all();
+  `).bind(...range.params).all();
 
   // Get top theme (most discussed)
   const topTheme = await env.DB.prepare(`
     SELECT 
-      theme,
+      ft.theme as theme,
       COUNT(*) as count,
-      AVG(sentiment_score) as avg_sentiment,
-      SUM(CASE WHEN sentiment = 'positive' THEN 1 ELSE 0 END) as positive,
-      SUM(CASE WHEN sentiment = 'negative' THEN 1 ELSE 0 END) as negative,
-      SUM(CASE WHEN urgency IN ('critical', 'high') THEN 1 ELSE 0 END) as urgent_count
-    FROM feedback
-    WHERE analyzed = 1 AND theme != 'uncategorized'
-    GROUP BY theme
+      AVG(f.sentiment_score) as avg_sentiment,
+      SUM(CASE WHEN f.sentiment = 'positive' THEN 1 ELSE 0 END) as positive,
+      SUM(CASE WHEN f.sentiment = 'negative' THEN 1 ELSE 0 END) as negative,
+      SUM(CASE WHEN f.urgency IN ('critical', 'high') THEN 1 ELSE 0 END) as urgent_count
+    FROM feedback_themes ft
+    JOIN feedback f ON f.id = ft.feedback_id
+    WHERE f.analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL} AND ft.theme != 'uncategorized'${labelRange.sql}
+    GROUP BY ft.theme
     ORDER BY count DESC
     LIMIT 1
-  `).first();
+  `).bind(...labelRange.params).first();
 
   return new Response(JSON.stringify({
     stats,
@@ -184,209 +581,1671 @@ async function getOverview(env, corsHeaders) {
   });
 }
 
-// Get filtered feedback list
+// Turn free text into an FTS5 query. Quoted phrases are kept together and
+// every other word is quoted on its own (so FTS syntax characters are
+// treated literally); a trailing * keeps prefix matching. Terms are AND-ed.
+function buildSearchQuery(text) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim();
+      if (phrase) terms.push(`"${phrase}"`);
+      continue;
+    }
+    const prefix = match[2].endsWith('*');
+    const word = match[2].replace(/["*]/g, '');
+    if (word) terms.push(`"${word}"${prefix ? '*' : ''}`);
+  }
+
+  return terms.join(' ');
+}
+
+// Escape text for HTML, then turn the FTS highlight markers into <mark> tags
+function highlightToHtml(text) {
+  if (text === null || text === undefined) return null;
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
+}
+
+// Get filtered feedback list, paginated with keyset cursors.
+// Each cursor stores the sort value and id of the row it points at.
+// With a q search parameter, results come from the FTS index, default to
+// relevance order and carry highlighted title/snippet HTML.
+// Every item carries report_count/channel_count for its duplicate group;
+// group=1 returns one row per group.
 async function getFeedback(env, url, corsHeaders) {
   const sentiment = url.searchParams.get('sentiment');
   const theme = url.searchParams.get('theme');
   const urgency = url.searchParams.get('urgency');
   const channel = url.searchParams.get('channel');
-  const limit = parseInt(url.searchParams.get('limit') || '50');
+  const source = url.searchParams.get('source');
+  const grouped = ['1', 'true'].includes(url.searchParams.get('group'));
+  const duplicateGroup = url.searchParams.get('duplicate_group');
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50') || 50, 1), FEEDBACK_MAX_PAGE_SIZE);
+  const search = buildSearchQuery(url.searchParams.get('q') || '');
+  const sort = url.searchParams.get('sort') || (search ? 'relevance' : 'created_at');
+  const order = url.searchParams.get('order') || 'desc';
+  const cursorParam = url.searchParams.get('cursor');
+
+  if (sort === 'relevance' && !search) {
+    return new Response(JSON.stringify({ error: 'sort=relevance requires a q search parameter' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (!FEEDBACK_SORTS[sort] || !['asc', 'desc'].includes(order)) {
+    return new Response(JSON.stringify({
+      error: `sort must be one of: ${Object.keys(FEEDBACK_SORTS).join(', ')}; order must be asc or desc`,
+    }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (source && source !== 'all' && !ANALYSIS_SOURCES.includes(source)) {
+    return new Response(JSON.stringify({ error: `source must be one of: ${ANALYSIS_SOURCES.join(', ')}` }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (duplicateGroup && !/^[1-9]\d*$/.test(duplicateGroup)) {
+    return new Response(JSON.stringify({ error: 'duplicate_group must be a positive integer' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+  if (cursorParam && !cursor) {
+    return new Response(JSON.stringify({ error: 'Invalid cursor' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+  if (cursor && (cursor.sort !== sort || cursor.order !== order)) {
+    return new Response(JSON.stringify({ error: 'Invalid cursor for this sort order' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
 
-  let query = 'SELECT * FROM feedback WHERE analyzed = 1';
+  let from = 'feedback';
+  let where = `WHERE analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}`;
   const params = [];
 
+  if (search) {
+    from = 'feedback JOIN feedback_fts ON feedback_fts.rowid = feedback.id';
+    where += ' AND feedback_fts MATCH ?';
+    params.push(search);
+  }
   if (sentiment && sentiment !== 'all') {
-    query += ' AND sentiment = ?';
+    where += ' AND sentiment = ?';
     params.push(sentiment);
   }
   if (theme && theme !== 'all') {
-    query += ' AND theme = ?';
+    where += ' AND EXISTS (SELECT 1 FROM feedback_themes ft WHERE ft.feedback_id = feedback.id AND ft.theme = ?)';
     params.push(theme);
   }
   if (urgency && urgency !== 'all') {
-    query += ' AND urgency = ?';
+    where += ' AND urgency = ?';
     params.push(urgency);
   }
   if (channel && channel !== 'all') {
-    query += ' AND channel = ?';
+    where += ' AND channel = ?';
     params.push(channel);
   }
+  if (source && source !== 'all') {
+    where += ' AND analysis_source = ?';
+    params.push(source);
+  }
+  if (duplicateGroup) {
+    where += ' AND duplicate_group_id = ?';
+    params.push(Number(duplicateGroup));
+  }
+  if (grouped) {
+    // One row per issue: ungrouped reports plus each group's first listed
+    // report, which is not the group's own first report once that is deleted
+    where += ` AND (duplicate_group_id IS NULL OR feedback.id = (
+      SELECT MIN(d.id) FROM feedback d
+      WHERE d.duplicate_group_id = feedback.duplicate_group_id AND d.analyzed = 1 AND ${activeFeedbackSql('d')}
+    ))`;
+  }
 
-  query += ' ORDER BY created_at DESC LIMIT ?';
-  params.push(limit);
-
-  const result = await env.DB.prepare(query).bind(...params).all();
+  const total = await env.DB.prepare(`SELECT COUNT(*) as count FROM ${from} ${where}`)
+    .bind(...params).first();
+
+  // Walking backwards ('prev') flips the comparison and sort direction,
+  // then the page is reversed back into display order
+  const sortExpr = FEEDBACK_SORTS[sort];
+  const backwards = cursor && cursor.direction === 'prev';
+  const ascending = (order === 'asc') !== Boolean(backwards);
+  const direction = ascending ? 'ASC' : 'DESC';
+
+  const searchColumns = search
+    ? `, highlight(feedback_fts, 0, char(2), char(3)) as title_match,
+       snippet(feedback_fts, 1, char(2), char(3), '…', 24) as content_match`
+    : '';
+
+  let query = `
+    SELECT * FROM (
+      SELECT feedback.*, ${sortExpr} as sort_value${searchColumns},
+        CASE WHEN feedback.duplicate_group_id IS NULL THEN 1 ELSE
+          (SELECT COUNT(*) FROM feedback d
+           WHERE d.duplicate_group_id = feedback.duplicate_group_id AND ${activeFeedbackSql('d')}) END as report_count,
+        CASE WHEN feedback.duplicate_group_id IS NULL THEN 1 ELSE
+          (SELECT COUNT(DISTINCT d.channel) FROM feedback d
+           WHERE d.duplicate_group_id = feedback.duplicate_group_id AND ${activeFeedbackSql('d')}) END as channel_count,
+        ${THEME_LABELS_SQL} as theme_labels
+      FROM ${from}
+      ${where}
+    )`;
+  const pageParams = [...params];
+  if (cursor) {
+    const op = ascending ? '>' : '<';
+    query += ` WHERE (sort_value ${op} ? OR (sort_value = ? AND id ${op} ?))`;
+    pageParams.push(cursor.value, cursor.value, cursor.id);
+  }
+  query += ` ORDER BY sort_value ${direction}, id ${direction} LIMIT ?`;
+  pageParams.push(limit + 1);
+
+  const result = await env.DB.prepare(query).bind(...pageParams).all();
+  const hasMore = result.results.length > limit;
+  const rows = result.results.slice(0, limit);
+  if (backwards) rows.reverse();
+
+  const cursorFor = (row, direction) => encodeCursor({ sort, order, direction, value: row.sort_value, id: row.id });
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+
+  const items = rows.map(({ sort_value, title_match, content_match, theme_labels, ...item }) => (search ? {
+    ...item,
+    themes: JSON.parse(theme_labels),
+    score: sort_value,
+    title_html: highlightToHtml(title_match),
+    snippet_html: highlightToHtml(content_match),
+  } : { ...item, themes: JSON.parse(theme_labels) }));
 
-  return new Response(JSON.stringify(result.results), {
+  return new Response(JSON.stringify({
+    items,
+    total: total.count,
+    next_cursor: last && (backwards || hasMore) ? cursorFor(last, 'next') : null,
+    prev_cursor: first && cursor && (!backwards || hasMore) ? cursorFor(first, 'prev') : null,
+  }), {
     headers: { ...corsHeaders, 'Content-Type': 'application/json' },
   });
 }
 
-// Get theme statistics
-async function getThemes(env, corsHeaders) {
-  const themes = await env.DB.prepare(`
-    SELECT 
-      theme,
-      COUNT(*) as total,
-      SUM(CASE WHEN sentiment = 'positive' THEN 1 ELSE 0 END) as positive,
-      SUM(CASE WHEN sentiment = 'negative' THEN 1 ELSE 0 END) as negative,
-      SUM(CASE WHEN urgency = 'critical' THEN 1 ELSE 0 END) as critical,
-      SUM(CASE WHEN urgency = 'high' THEN 1 ELSE 0 END) as high,
-      AVG(sentiment_score) as avg_sentiment
-    FROM feedback
-    WHERE analyzed = 1 AND theme != 'uncategorized'
-    GROUP BY theme
-    ORDER BY total DESC
-  `).all();
+// Validate an incoming feedback item and normalize its fields
+function validateFeedbackInput(input) {
+  const errors = [];
 
-  return new Response(JSON.stringify(themes.results), {
-    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-  });
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Feedback must be a JSON object'], value: null };
+  }
+
+  const value = {};
+
+  const channel = typeof input.channel === 'string' ? input.channel.trim().toLowerCase() : '';
+  if (!channel) {
+    errors.push('channel is required');
+  } else if (!FEEDBACK_CHANNELS.includes(channel)) {
+    errors.push(`channel must be one of: ${FEEDBACK_CHANNELS.join(', ')}`);
+  }
+  value.channel = channel;
+
+  for (const field of ['title', 'content', 'author']) {
+    const raw = input[field];
+    if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+    const text = (raw || '').trim();
+    if (text.length > FIELD_LIMITS[field]) {
+      errors.push(`${field} must be at most ${FIELD_LIMITS[field]} characters`);
+    }
+    value[field] = text || null;
+  }
+
+  if (!value.content && !errors.some(e => e.startsWith('content'))) {
+    errors.push('content is required');
+  }
+
+  value.created_at = null;
+  if (input.created_at !== undefined && input.created_at !== null && input.created_at !== '') {
+    value.created_at = normalizeTimestamp(input.created_at);
+    if (!value.created_at) {
+      errors.push('created_at must be a valid date');
+    }
+  }
+
+  return { errors, value };
 }
 
-// Get sentiment trend over time
-async function getSentimentTrend(env, corsHeaders) {
-  const trend = await env.DB.prepare(`
-    SELECT 
-      DATE(created_at) as date,
-      COUNT(*) as total,
-      AVG(sentiment_score) as avg_sentiment,
-      SUM(CASE WHEN sentiment = 'positive' THEN 1 ELSE 0 END) as positive,
-      SUM(CASE WHEN sentiment = 'negative' THEN 1 ELSE 0 END) as negative
-    FROM feedback
-    WHERE analyzed = 1
-    GROUP BY DATE(created_at)
-    ORDER BY date DESC
-    LIMIT 14
-  `).all();
+// Convert a date string or epoch value to the 'YYYY-MM-DD HH:MM:SS' UTC
+// format used by the feedback table. Returns null if it cannot be parsed.
+function normalizeTimestamp(raw) {
+  let date;
+  if (typeof raw === 'string' && /^\d{9,13}$/.test(raw.trim())) {
+    raw = Number(raw.trim());
+  }
+  if (typeof raw === 'number') {
+    // Treat small numbers as epoch seconds, larger ones as milliseconds
+    date = new Date(raw < 1e12 ? raw * 1000 : raw);
+  } else if (typeof raw === 'string') {
+    const text = raw.trim();
+    // SQLite-style timestamps without a zone are already UTC
+    date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text) ? text.replace(' ', 'T') + 'Z' : text);
+  } else {
+    return null;
+  }
 
-  return new Response(JSON.stringify(trend.results.reverse()), {
-    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-  });
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
 }
 
-// Get detailed view for a specific theme
-async function getThemeDetail(env, theme, corsHeaders) {
-  if (!theme) {
-    return new Response(JSON.stringify({ error: 'Theme parameter required' }), {
+// Prepare the INSERT for a validated feedback item, queued for analysis.
+// Connector items also carry external_id, source_url, external_status and,
+// from helpdesks, organization and external_priority.
+function insertFeedbackStatement(env, value) {
+  return env.DB.prepare(`
+    INSERT INTO feedback (created_at, channel, title, content, author, organization, external_id, source_url, external_status, external_priority, sentiment, analyzed)
+    VALUES (COALESCE(?, datetime('now')), ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0)
+  `).bind(
+    value.created_at,
+    value.channel,
+    value.title,
+    value.content,
+    value.author,
+    value.organization || null,
+    value.external_id || null,
+    value.source_url || null,
+    value.external_status || null,
+    value.external_priority || null
+  );
+}
+
+// Store a new feedback item and queue it for analysis
+async function createFeedback(env, request, corsHeaders) {
+  let input;
+  try {
+    input = await request.json();
+  } catch (parseError) {
+    return new Response(JSON.stringify({ error: 'Request body must be valid JSON' }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 
-  // Get theme stats
-  const stats = await env.DB.prepare(`
-    SELECT 
-      COUNT(*) as total,
-      AVG(sentiment_score) as avg_sentiment,
-      SUM(CASE WHEN sentiment = 'positive' THEN 1 ELSE 0 END) as positive,
-      SUM(CASE WHEN sentiment = 'neutral' THEN 1 ELSE 0 END) as neutral,
-      SUM(CASE WHEN sentiment = 'negative' THEN 1 ELSE 0 END) as negative,
-      SUM(CASE WHEN urgency = 'critical' THEN 1 ELSE 0 END) as critical,
-      SUM(CASE WHEN urgency = 'high' THEN 1 ELSE 0 END) as high,
-      SUM(CASE WHEN urgency = 'medium' THEN 1 ELSE 0 END) as medium,
-      SUM(CASE WHEN urgency = 'low' THEN 1 ELSE 0 END) as low
-    FROM feedback
-    WHERE theme = ? AND analyzed = 1
-  `).bind(theme).first();
-
-  // Get channel breakdown
-  const channels = await env.DB.prepare(`
-    SELECT channel, COUNT(*) as count
-    FROM feedback
-    WHERE theme = ? AND analyzed = 1
-    GROUP BY channel
-  `).bind(theme).all();
-
-  // Get sample feedback
-  const samples = await env.DB.prepare(`
-    SELECT *
-    FROM feedback
-    WHERE theme = ? AND analyzed = 1
-    ORDER BY 
-      CASE urgency 
-        WHEN 'critical' THEN 1 
-        WHEN 'high' THEN 2 
-        WHEN 'medium' THEN 3 
-        ELSE 4 
-      END,
-      created_at DESC
-    LIMIT 10
-  `).bind(theme).all();
-
-  // Get daily sentiment trend for this theme
-  const trend = await env.DB.prepare(`
-    SELECT 
-      DATE(created_at) as date,
-      COUNT(*) as count,
-      AVG(sentiment_score) as avg_sentiment,
-      SUM(CASE WHEN sentiment = 'positive' THEN 1 ELSE 0 END) as positive,
-      SUM(CASE WHEN sentiment = 'neutral' THEN 1 ELSE 0 END) as neutral,
-      SUM(CASE WHEN sentiment = 'negative' THEN 1 ELSE 0 END) as negative
-    FROM feedback
-    WHERE theme = ? AND analyzed = 1
-    GROUP BY DATE(created_at)
-    ORDER BY date DESC
-    LIMIT 14
-  `).bind(theme).all();
+  const { errors, value } = validateFeedbackInput(input);
+  if (errors.length > 0) {
+    return new Response(JSON.stringify({ error: 'Invalid feedback', details: errors }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
 
-  // Get recent feedback for summary (last 10 items)
-  const recentForSummary = await env.DB.prepare(`
-    SELECT content
-    FROM feedback
-    WHERE theme = ? AND analyzed = 1
-    ORDER BY created_at DESC
-    LIMIT 10
-  `).bind(theme).all();
+  const result = await insertFeedbackStatement(env, value).run();
+  const id = result.meta.last_row_id;
+  const groups = await assignDuplicateGroups(env, [id]);
+  await invalidateDashboardCache(env);
 
   return new Response(JSON.stringify({
-    theme,
-    stats,
-    channels: channels.results,
-    samples: samples.results,
-    trend: trend.results.reverse(),
-    recentFeedbackTexts: recentForSummary.results.map(r => r.content),
+    id,
+    status: 'queued',
+    duplicate_group_id: groups.get(id) || null,
   }), {
+    status: 201,
     headers: { ...corsHeaders, 'Content-Type': 'application/json' },
   });
 }
 
-// Summarize feedback using Workers AI
-async function summarizeFeedback(env, request, corsHeaders) {
-  const { feedbackTexts, theme } = await request.json();
-  
-  if (!feedbackTexts || feedbackTexts.length === 0) {
-    return new Response(JSON.stringify({ summary: 'No feedback to summarize.' }), {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-    });
+// Store or update a feedback item from a connector, matched on its
+// external_id. New items are queued for analysis; edited text queues
+// analyzed rows for re-analysis; a status-only item (e.g. deleted) just
+// updates external_status. Ticket status, priority and organization are
+// kept in sync. Text longer than FIELD_LIMITS is truncated.
+// Returns { status: 'created' | 'updated' | 'unchanged' | 'ignored', id }.
+async function upsertExternalFeedback(env, item) {
+  const existing = await env.DB.prepare(`
+    SELECT id, created_at, analyzed, title, content, organization, source_url, external_status, external_priority
+    FROM feedback WHERE external_id = ?
+  `).bind(item.external_id).first();
+
+  if (item.content === undefined) {
+    if (!existing) return { status: 'ignored', reason: 'Unknown item' };
+    if (existing.external_status === item.external_status) return { status: 'unchanged', id: existing.id };
+    await env.DB.prepare('UPDATE feedback SET external_status = ? WHERE id = ?')
+      .bind(item.external_status, existing.id).run();
+    await rollupIfDeletionChanged(env, existing, item.external_status);
+    await invalidateDashboardCache(env);
+    return { status: 'updated', id: existing.id };
   }
 
-  const combinedFeedback = feedbackTexts.slice(0, 10).join('\n---\n');
-  
-  const prompt = `You are a product manager analyzing customer feedback about "${theme}". 
-
-Here are the most recent feedback items:
-
-${combinedFeedback}
+  const truncated = { ...item };
+  for (const field of ['title', 'content', 'author', 'organization']) {
+    if (typeof truncated[field] === 'string') truncated[field] = truncated[field].trim().slice(0, FIELD_LIMITS[field]);
+  }
+  const { errors, value } = validateFeedbackInput(truncated);
+  if (errors.length > 0) {
+    return { status: 'ignored', reason: errors.join('; ') };
+  }
+  Object.assign(value, {
+    external_id: item.external_id,
+    organization: truncated.organization || null,
+    source_url: item.source_url || null,
+    external_status: item.external_status || null,
+    external_priority: item.external_priority || null,
+  });
+
+  if (!existing) {
+    const result = await insertFeedbackStatement(env, value).run();
+    const id = result.meta.last_row_id;
+    await assignDuplicateGroups(env, [id]);
+    await invalidateDashboardCache(env);
+    return { status: 'created', id };
+  }
+
+  const textChanged = existing.title !== value.title || existing.content !== value.content;
+  const detailsChanged = ['organization', 'source_url', 'external_status', 'external_priority']
+    .some(field => existing[field] !== value[field]);
+  if (!textChanged && !detailsChanged) {
+    return { status: 'unchanged', id: existing.id };
+  }
+
+  await env.DB.prepare(`
+    UPDATE feedback
+    SET title = ?,
+        content = ?,
+        organization = ?,
+        source_url = ?,
+        external_status = ?,
+        external_priority = ?,
+        reanalysis_requested = CASE WHEN ? THEN analyzed ELSE reanalysis_requested END,
+        analysis_attempts = CASE WHEN ? THEN 0 ELSE analysis_attempts END,
+        analysis_error = CASE WHEN ? THEN NULL ELSE analysis_error END
+    WHERE id = ?
+  `).bind(
+    value.title,
+    value.content,
+    value.organization,
+    value.source_url,
+    value.external_status,
+    value.external_priority,
+    textChanged ? 1 : 0,
+    textChanged ? 1 : 0,
+    textChanged ? 1 : 0,
+    existing.id
+  ).run();
+  await rollupIfDeletionChanged(env, existing, value.external_status);
+  await invalidateDashboardCache(env);
+  return { status: 'updated', id: existing.id };
+}
+
+// Deleted rows are left out of daily_metrics, so an analyzed row that is
+// deleted (or comes back) changes its day's metrics
+async function rollupIfDeletionChanged(env, existing, externalStatus) {
+  if (existing.analyzed && (existing.external_status === 'deleted') !== (externalStatus === 'deleted')) {
+    await rollupDailyMetrics(env, [existing.created_at.slice(0, 10)]);
+  }
+}
+
+// Record a webhook delivery id. Returns false if it was already processed.
+async function recordWebhookDelivery(env, source, deliveryId, event) {
+  const result = await env.DB.prepare(`
+    INSERT OR IGNORE INTO webhook_deliveries (source, delivery_id, event) VALUES (?, ?, ?)
+  `).bind(source, deliveryId, event).run();
+  return result.meta.changes > 0;
+}
+
+// Forget a claimed delivery whose processing failed, so a redelivery is
+// processed instead of being skipped
+async function releaseWebhookDelivery(env, source, deliveryId) {
+  await env.DB.prepare('DELETE FROM webhook_deliveries WHERE source = ? AND delivery_id = ?')
+    .bind(source, deliveryId).run();
+}
+
+// Receive GitHub issues and issue_comment webhooks. The X-Hub-Signature-256
+// HMAC is checked against GITHUB_WEBHOOK_SECRET; redelivered events (same
+// X-GitHub-Delivery id) are acknowledged without being processed again.
+async function handleGitHubWebhook(env, request, corsHeaders) {
+  if (!env.GITHUB_WEBHOOK_SECRET) {
+    return new Response(JSON.stringify({ error: 'GitHub webhooks are not configured' }), {
+      status: 503,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const body = await request.text();
+  const signed = await verifyGitHubSignature(env.GITHUB_WEBHOOK_SECRET, body, request.headers.get('X-Hub-Signature-256'));
+  if (!signed) {
+    return new Response(JSON.stringify({ error: 'Invalid signature' }), {
+      status: 401,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const event = request.headers.get('X-GitHub-Event') || '';
+  if (event === 'ping') {
+    return new Response(JSON.stringify({ status: 'ok' }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const payload = parseGitHubPayload(body, request.headers.get('Content-Type'));
+  if (!payload) {
+    return new Response(JSON.stringify({ error: 'Request body must be valid JSON' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Claim the delivery before processing it, so concurrent redeliveries
+  // are applied once
+  const deliveryId = request.headers.get('X-GitHub-Delivery');
+  if (deliveryId && !await recordWebhookDelivery(env, 'github', deliveryId, event)) {
+    return new Response(JSON.stringify({ status: 'duplicate', delivery_id: deliveryId }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  let result;
+  try {
+    const { item, ignored } = githubFeedbackItem(event, payload);
+    result = item ? await upsertExternalFeedback(env, item) : { status: 'ignored', reason: ignored };
+  } catch (error) {
+    if (deliveryId) await releaseWebhookDelivery(env, 'github', deliveryId);
+    throw error;
+  }
+
+  return new Response(JSON.stringify(result), {
+    status: result.status === 'created' ? 201 : 200,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Receive helpdesk ticket webhooks for a provider with a mapping in
+// src/helpdesk.js. Tickets are upserted as support feedback, so status,
+// priority and text changes follow the ticket; redeliveries are
+// acknowledged without being processed again.
+async function handleHelpdeskWebhook(env, provider, request, corsHeaders) {
+  const mapping = getHelpdeskMapping(env, provider);
+  if (!mapping) {
+    return new Response(JSON.stringify({ error: `Unknown helpdesk provider: ${provider}` }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+  const secret = env[mapping.secret];
+  if (!secret) {
+    return new Response(JSON.stringify({ error: `Helpdesk webhooks for ${provider} are not configured` }), {
+      status: 503,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const body = await request.text();
+  if (!await verifyHelpdeskSignature(mapping, secret, body, request.headers)) {
+    return new Response(JSON.stringify({ error: 'Invalid signature' }), {
+      status: 401,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (parseError) {
+    return new Response(JSON.stringify({ error: 'Request body must be valid JSON' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const source = `helpdesk:${provider}`;
+  const deliveryId = helpdeskDeliveryId(mapping, payload, request.headers);
+  if (deliveryId && !await recordWebhookDelivery(env, source, deliveryId, mapping.kind || 'ticket')) {
+    return new Response(JSON.stringify({ status: 'duplicate', delivery_id: deliveryId }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  let result;
+  try {
+    const { item, ignored } = helpdeskFeedbackItem(provider, mapping, payload);
+    result = item ? await upsertExternalFeedback(env, item) : { status: 'ignored', reason: ignored };
+  } catch (error) {
+    if (deliveryId) await releaseWebhookDelivery(env, source, deliveryId);
+    throw error;
+  }
+
+  return new Response(JSON.stringify(result), {
+    status: result.status === 'created' ? 201 : 200,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Receive Discord interactions (see src/discord.js), signed with the key
+// in DISCORD_PUBLIC_KEY. Commands store the feedback right away and answer
+// with a deferred ephemeral reply, which is edited to show the verdict once
+// the analysis has run in the background.
+async function handleDiscordInteraction(env, request, ctx, corsHeaders) {
+  if (!env.DISCORD_PUBLIC_KEY) {
+    return new Response(JSON.stringify({ error: 'Discord interactions are not configured' }), {
+      status: 503,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const body = await request.text();
+  const signed = await verifyDiscordSignature(
+    env.DISCORD_PUBLIC_KEY,
+    body,
+    request.headers.get('X-Signature-Ed25519'),
+    request.headers.get('X-Signature-Timestamp')
+  );
+  if (!signed) {
+    return new Response(JSON.stringify({ error: 'Invalid request signature' }), {
+      status: 401,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  let interaction;
+  try {
+    interaction = JSON.parse(body);
+  } catch (parseError) {
+    return new Response(JSON.stringify({ error: 'Request body must be valid JSON' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (interaction.type === INTERACTION_TYPES.PING) {
+    return new Response(JSON.stringify({ type: RESPONSE_TYPES.PONG }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+  if (interaction.type !== INTERACTION_TYPES.APPLICATION_COMMAND) {
+    return new Response(JSON.stringify({ error: 'Unsupported interaction type' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const { item, error } = discordFeedbackItem(interaction);
+  const result = item ? await upsertExternalFeedback(env, item) : { status: 'ignored', reason: error };
+  if (result.status === 'ignored') {
+    return new Response(JSON.stringify({
+      type: RESPONSE_TYPES.CHANNEL_MESSAGE,
+      data: { content: `⚠️ ${result.reason}`, flags: EPHEMERAL },
+    }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  ctx.waitUntil(replyWithDiscordVerdict(env, interaction, result));
+  return new Response(JSON.stringify({
+    type: RESPONSE_TYPES.DEFERRED_CHANNEL_MESSAGE,
+    data: { flags: EPHEMERAL },
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Analyze a row stored from Discord (unless it already is) and edit the
+// deferred reply to show the verdict. When the model fails, the rule-based
+// verdict is shown and the row is left to the cron pipeline.
+async function replyWithDiscordVerdict(env, interaction, result) {
+  let content;
+  try {
+    const row = await env.DB.prepare(`
+      SELECT id, created_at, title, content, analyzed, sentiment, sentiment_score, theme, urgency, analysis_source
+      FROM feedback WHERE id = ?
+    `).bind(result.id).first();
+    const taxonomy = await loadTaxonomy(env);
+
+    let verdict = { ...row, source: row.analysis_source };
+    if (!row.analyzed) {
+      const text = analysisText(row);
+      try {
+        verdict = await runAnalysis(env, text, taxonomy);
+      } catch (error) {
+        verdict = rulesAnalysis(text, taxonomy, `AI analysis unavailable: ${error.message}`);
+      }
+      if (verdict.status !== 'fallback') {
+        await env.DB.batch(analysisStatements(env, row.id, verdict));
+        await rollupDailyMetrics(env, [row.created_at.slice(0, 10)]);
+        await invalidateDashboardCache(env);
+      }
+    }
+
+    const theme = taxonomy.find(entry => entry.slug === verdict.theme);
+    content = formatDiscordVerdict({
+      ...verdict,
+      id: row.id,
+      stored: result.status === 'created',
+      theme: theme ? `${theme.icon ? `${theme.icon} ` : ''}${theme.display_name}` : verdict.theme,
+    });
+  } catch (error) {
+    console.error('Discord verdict failed:', error);
+    content = `✅ Saved to Feedback Analyzer as #${result.id}. It will be analyzed shortly.`;
+  }
+
+  try {
+    await editDiscordReply(interaction, content);
+  } catch (error) {
+    console.error('Discord reply failed:', error.message);
+  }
+}
+
+// Receive Slack Events API requests signed with SLACK_SIGNING_SECRET.
+// Answers the url_verification handshake; events are acknowledged right
+// away (Slack retries after 3 seconds) and processed in the background.
+// Retried events (same event_id) are not processed again.
+async function handleSlackEvent(env, request, ctx, corsHeaders) {
+  if (!env.SLACK_SIGNING_SECRET) {
+    return new Response(JSON.stringify({ error: 'Slack events are not configured' }), {
+      status: 503,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const body = await request.text();
+  const signed = await verifySlackSignature(
+    env.SLACK_SIGNING_SECRET,
+    body,
+    request.headers.get('X-Slack-Request-Timestamp'),
+    request.headers.get('X-Slack-Signature')
+  );
+  if (!signed) {
+    return new Response(JSON.stringify({ error: 'Invalid signature' }), {
+      status: 401,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (parseError) {
+    return new Response(JSON.stringify({ error: 'Request body must be valid JSON' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (payload.type === 'url_verification') {
+    return new Response(JSON.stringify({ challenge: payload.challenge }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+  if (payload.type !== 'event_callback' || !payload.event) {
+    return new Response(JSON.stringify({ status: 'ignored', reason: `Unsupported payload: ${payload.type}` }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (payload.event_id && !await recordWebhookDelivery(env, 'slack', payload.event_id, payload.event.type)) {
+    return new Response(JSON.stringify({ status: 'duplicate', delivery_id: payload.event_id }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  // Slack retries events that fail; release the claim so the retry is
+  // processed instead of acknowledged as a duplicate
+  ctx.waitUntil(processSlackEvent(env, payload.event).catch(async error => {
+    console.error('Slack event failed:', error.message);
+    if (payload.event_id) await releaseWebhookDelivery(env, 'slack', payload.event_id);
+  }));
+  return new Response(JSON.stringify({ status: 'accepted' }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Store, update or mark deleted the message an event is about, as 'slack'
+// feedback. Messages forwarded by reaction are fetched with SLACK_BOT_TOKEN
+// and get a confirming reaction; with the token, rows also link back to
+// the message.
+async function processSlackEvent(env, event) {
+  const channels = (env.SLACK_CHANNELS || '').split(',').map(id => id.trim()).filter(Boolean);
+  const action = slackEventAction(event, { channels, reaction: env.SLACK_REACTION || DEFAULT_SLACK_REACTION });
+  if (action.ignored) return { status: 'ignored', reason: action.ignored };
+  if (action.deleted) {
+    return await upsertExternalFeedback(env, { external_id: action.deleted, external_status: 'deleted' });
+  }
+
+  let { channel, message } = action.message || {};
+  if (action.reaction) {
+    if (!env.SLACK_BOT_TOKEN) return { status: 'ignored', reason: 'SLACK_BOT_TOKEN is needed to forward messages' };
+    channel = action.reaction.channel;
+    message = await fetchSlackMessage(env.SLACK_BOT_TOKEN, channel, action.reaction.ts);
+    if (!message) return { status: 'ignored', reason: 'Message not found' };
+  }
+
+  const { item, ignored } = slackFeedbackItem(channel, message);
+  if (!item) return { status: 'ignored', reason: ignored };
+  if (env.SLACK_BOT_TOKEN) {
+    item.source_url = await slackPermalink(env.SLACK_BOT_TOKEN, channel, message.ts).catch(() => null);
+  }
+
+  const result = await upsertExternalFeedback(env, item);
+  if (action.reaction && result.status !== 'ignored') {
+    try {
+      await addSlackReaction(env.SLACK_BOT_TOKEN, channel, message.ts, SLACK_STORED_REACTION);
+    } catch (error) {
+      console.error('Slack reaction failed:', error.message);
+    }
+  }
+  return result;
+}
+
+// Store an inbound email as 'email' feedback: subject as title, the plain
+// text (or stripped HTML) body without quotes and signature as content, the
+// sender as author. Replies whose In-Reply-To/References point at a stored
+// message are appended to that thread's row instead. Automatic mail and
+// already stored Message-IDs are skipped. With EMAIL_FORWARD_TO set, the
+// message is then forwarded there.
+async function handleInboundEmail(env, message) {
+  if (message.rawSize > EMAIL_MAX_BYTES) {
+    message.setReject('Message too large');
+    return;
+  }
+
+  const email = parseEmail(new Uint8Array(await new Response(message.raw).arrayBuffer()));
+  await storeEmailFeedback(env, email);
+
+  if (env.EMAIL_FORWARD_TO) {
+    await message.forward(env.EMAIL_FORWARD_TO);
+  }
+}
+
+// Store a parsed email (see handleInboundEmail). Returns the upsert result.
+async function storeEmailFeedback(env, email) {
+  if (isAutomatedEmail(email)) {
+    return { status: 'ignored', reason: 'Automatic message' };
+  }
+
+  // Messages without a Message-ID cannot be threaded or deduplicated
+  const messageId = email.messageId || `${crypto.randomUUID()}@feedback-analyzer.invalid`;
+  const stored = await env.DB.prepare('SELECT feedback_id FROM email_threads WHERE message_id = ?')
+    .bind(messageId).first();
+  if (stored) {
+    return { status: 'unchanged', id: stored.feedback_id };
+  }
+
+  const content = extractReplyText(email.text || htmlToText(email.html || ''));
+  if (!content) {
+    return { status: 'ignored', reason: 'No text content' };
+  }
+
+  // In-Reply-To first, then References from the newest back
+  const threadIds = [...email.inReplyTo, ...email.references.slice().reverse()];
+  const thread = threadIds.length > 0 ? await env.DB.prepare(`
+    SELECT f.id, f.external_id, f.title, f.content, f.author
+    FROM json_each(?) ids
+    JOIN email_threads t ON t.message_id = ids.value
+    JOIN feedback f ON f.id = t.feedback_id
+    ORDER BY ids.key
+    LIMIT 1
+  `).bind(JSON.stringify(threadIds)).first() : null;
+
+  const sender = email.from.name && email.from.address
+    ? `${email.from.name} <${email.from.address}>`
+    : email.from.address;
+  const result = thread && thread.external_id
+    ? await upsertExternalFeedback(env, {
+      channel: 'email',
+      title: thread.title,
+      content: appendEmailFollowUp(thread.content, content),
+      author: thread.author,
+      external_id: thread.external_id,
+      source_url: null,
+      external_status: null,
+    })
+    : await upsertExternalFeedback(env, {
+      channel: 'email',
+      title: cleanSubject(email.subject) || null,
+      content,
+      author: sender,
+      created_at: normalizeTimestamp(email.date || ''),
+      external_id: `email:${messageId}`,
+      source_url: null,
+      external_status: null,
+    });
+
+  if (result.id) {
+    await env.DB.prepare('INSERT OR IGNORE INTO email_threads (message_id, feedback_id) VALUES (?, ?)')
+      .bind(messageId, result.id).run();
+  }
+  return result;
+}
+
+// A thread's text with a follow-up appended. The original message is what
+// the row was analyzed and grouped on, so it always stays; past
+// FIELD_LIMITS.content the oldest replies after it are dropped and
+// EMAIL_OMITTED_REPLIES marks the gap.
+function appendEmailFollowUp(threadContent, followUp) {
+  const [original, ...replies] = threadContent.split(EMAIL_FOLLOW_UP_SEPARATOR);
+  const kept = [...replies.filter(reply => reply !== EMAIL_OMITTED_REPLIES), followUp];
+  let omitted = kept.length <= replies.length;
+  const thread = () => [original, ...(omitted ? [EMAIL_OMITTED_REPLIES] : []), ...kept].join(EMAIL_FOLLOW_UP_SEPARATOR);
+
+  while (kept.length > 0 && thread().length > FIELD_LIMITS.content) {
+    kept.shift();
+    omitted = true;
+  }
+  return thread().slice(0, FIELD_LIMITS.content);
+}
+
+// Validate a label correction. Only the fields present are checked; with
+// requireAll (rows the model never labeled) every correctable label is needed.
+function validateLabelCorrection(input, themeSlugs, requireAll) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Correction must be a JSON object'], value: null };
+  }
+
+  const errors = [];
+  const value = {};
+  const allowedByField = { sentiment: SENTIMENTS, theme: themeSlugs, urgency: URGENCIES, value_score: VALUE_SCORES };
+
+  for (const field of CORRECTABLE_LABELS) {
+    if (input[field] === undefined) {
+      if (requireAll) errors.push(`${field} is required for feedback that has not been analyzed`);
+      continue;
+    }
+    const label = typeof input[field] === 'string' ? input[field].trim().toLowerCase() : input[field];
+    if (!allowedByField[field].includes(label)) {
+      errors.push(`${field} must be one of: ${allowedByField[field].join(', ')}`);
+    }
+    value[field] = label;
+  }
+
+  if (input.sentiment_score !== undefined) {
+    if (typeof input.sentiment_score !== 'number' || input.sentiment_score < -1 || input.sentiment_score > 1) {
+      errors.push('sentiment_score must be a number from -1 to 1');
+    }
+    value.sentiment_score = input.sentiment_score;
+  }
+
+  if (input.changed_by !== undefined && input.changed_by !== null) {
+    if (typeof input.changed_by !== 'string' || input.changed_by.trim().length > CHANGED_BY_MAX_LENGTH) {
+      errors.push(`changed_by must be a string of at most ${CHANGED_BY_MAX_LENGTH} characters`);
+    }
+    value.changed_by = String(input.changed_by).trim() || null;
+  }
+
+  if (!CORRECTABLE_LABELS.some(field => field in value) && value.sentiment_score === undefined) {
+    errors.push(`Provide at least one of: ${CORRECTABLE_LABELS.join(', ')}, sentiment_score`);
+  }
+
+  return { errors, value };
+}
+
+// Apply a human correction to a feedback item's labels. Every changed field
+// is written to label_history, and the row is marked human_verified so the
+// analysis pipeline never overwrites it. A corrected theme replaces the
+// primary label; secondary labels are kept.
+async function correctFeedbackLabels(env, id, request, corsHeaders) {
+  let input;
+  try {
+    input = await request.json();
+  } catch (parseError) {
+    return new Response(JSON.stringify({ error: 'Request body must be valid JSON' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const row = await env.DB.prepare('SELECT * FROM feedback WHERE id = ?').bind(id).first();
+  if (!row) {
+    return new Response(JSON.stringify({ error: 'Feedback not found' }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const taxonomy = await loadTaxonomy(env);
+  const { errors, value } = validateLabelCorrection(input, taxonomy.map(theme => theme.slug), !row.analyzed);
+  if (errors.length > 0) {
+    return new Response(JSON.stringify({ error: 'Invalid correction', details: errors }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (value.sentiment_score === undefined && value.sentiment !== undefined && value.sentiment !== row.sentiment) {
+    value.sentiment_score = CORRECTED_SENTIMENT_SCORES[value.sentiment];
+  }
+
+  const changes = [...CORRECTABLE_LABELS, 'sentiment_score']
+    .filter(field => value[field] !== undefined && value[field] !== row[field])
+    .map(field => ({ field, old_value: row[field], new_value: value[field] }));
+  if (!row.human_verified) {
+    changes.push({ field: 'human_verified', old_value: 0, new_value: 1 });
+  }
+
+  // Cloudflare Access identifies the editor when the dashboard sits behind it
+  const changedBy = value.changed_by
+    || request.headers.get('Cf-Access-Authenticated-User-Email')
+    || 'anonymous';
+
+  const statements = [
+    env.DB.prepare(`
+      UPDATE feedback
+      SET sentiment = COALESCE(?, sentiment),
+          sentiment_score = COALESCE(?, sentiment_score),
+          theme = COALESCE(?, theme),
+          urgency = COALESCE(?, urgency),
+          value_score = COALESCE(?, value_score),
+          analyzed = 1,
+          analysis_error = NULL,
+          analysis_source = 'human',
+          human_verified = 1
+      WHERE id = ?
+    `).bind(
+      value.sentiment ?? null,
+      value.sentiment_score ?? null,
+      value.theme ?? null,
+      value.urgency ?? null,
+      value.value_score ?? null,
+      id
+    ),
+    ...changes.map(change => env.DB.prepare(`
+      INSERT INTO label_history (feedback_id, field, old_value, new_value, changed_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(id, change.field, change.old_value === null ? null : String(change.old_value), String(change.new_value), changedBy)),
+  ];
+
+  if (value.theme !== undefined && (value.theme !== row.theme || !row.analyzed)) {
+    statements.push(
+      env.DB.prepare('DELETE FROM feedback_themes WHERE feedback_id = ? AND (is_primary = 1 OR theme = ?)').bind(id, value.theme),
+      env.DB.prepare(`
+        INSERT INTO feedback_themes (feedback_id, theme, confidence, is_primary)
+        VALUES (?, ?, 1, 1)
+      `).bind(id, value.theme)
+    );
+  }
+
+  await env.DB.batch(statements);
+  await rollupDailyMetrics(env, [row.created_at.slice(0, 10)]);
+  await invalidateDashboardCache(env);
+
+  const { theme_labels, ...updated } = await env.DB.prepare(`
+    SELECT feedback.*, ${THEME_LABELS_SQL} as theme_labels FROM feedback WHERE id = ?
+  `).bind(id).first();
+
+  return new Response(JSON.stringify({
+    feedback: { ...updated, themes: JSON.parse(theme_labels) },
+    changes,
+    changed_by: changedBy,
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Label corrections made to a feedback item, newest first
+async function getLabelHistory(env, id, corsHeaders) {
+  const row = await env.DB.prepare('SELECT id FROM feedback WHERE id = ?').bind(id).first();
+  if (!row) {
+    return new Response(JSON.stringify({ error: 'Feedback not found' }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const history = await env.DB.prepare(`
+    SELECT field, old_value, new_value, changed_by, changed_at
+    FROM label_history
+    WHERE feedback_id = ?
+    ORDER BY changed_at DESC, id DESC
+  `).bind(id).all();
+
+  return new Response(JSON.stringify(history.results), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Bulk import feedback from a CSV or JSON Lines upload
+async function importFeedback(env, request, url, corsHeaders) {
+  const contentType = request.headers.get('Content-Type') || '';
+  let text;
+  let filename = null;
+  let mappingParam = url.searchParams.get('mapping');
+  let defaultChannel = url.searchParams.get('channel');
+
+  if (contentType.includes('multipart/form-data')) {
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+      return new Response(JSON.stringify({ error: 'Multipart uploads need a "file" field' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+    text = await file.text();
+    filename = file.name;
+    mappingParam = form.get('mapping') || mappingParam;
+    defaultChannel = form.get('channel') || defaultChannel;
+  } else {
+    text = await request.text();
+  }
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  text = text.replace(/^\uFEFF/, '');
+
+  let overrides = {};
+  if (mappingParam) {
+    try {
+      overrides = JSON.parse(mappingParam);
+    } catch (parseError) {
+      overrides = null;
+    }
+    const isMapping = overrides && typeof overrides === 'object' && !Array.isArray(overrides)
+      && Object.values(overrides).every(column => typeof column === 'string');
+    if (!isMapping) {
+      return new Response(JSON.stringify({ error: 'mapping must be a JSON object of field to column name' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+  }
+
+  const format = detectImportFormat(url.searchParams.get('format'), contentType, filename, text);
+  const { rows, rejected, mapping } = parseImportRows(format, text, overrides);
+
+  if (rows.length + rejected.length > IMPORT_MAX_ROWS) {
+    return new Response(JSON.stringify({ error: `Imports are limited to ${IMPORT_MAX_ROWS} rows per request` }), {
+      status: 413,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (rows.length > 0 && !mapping.content) {
+    return new Response(JSON.stringify({
+      error: 'Could not find a content column',
+      columns: IMPORT_COLUMN_ALIASES.content,
+    }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const total = rows.length + rejected.length;
+  const statements = [];
+  for (const { row, input } of rows) {
+    if (!input.channel && defaultChannel) {
+      input.channel = defaultChannel;
+    }
+    const { errors, value } = validateFeedbackInput(input);
+    if (errors.length > 0) {
+      rejected.push({ row, errors });
+    } else {
+      statements.push(insertFeedbackStatement(env, value));
+    }
+  }
+
+  const insertedIds = [];
+  for (let i = 0; i < statements.length; i += IMPORT_BATCH_SIZE) {
+    const results = await env.DB.batch(statements.slice(i, i + IMPORT_BATCH_SIZE));
+    results.forEach(result => insertedIds.push(result.meta.last_row_id));
+  }
+  let duplicates = 0;
+  if (statements.length > 0) {
+    const groups = await assignDuplicateGroups(env, insertedIds);
+    duplicates = insertedIds.filter(id => groups.has(id) && groups.get(id) !== id).length;
+    await invalidateDashboardCache(env);
+  }
+
+  rejected.sort((a, b) => a.row - b.row);
+
+  return new Response(JSON.stringify({
+    format,
+    mapping,
+    total,
+    inserted: statements.length,
+    duplicates,
+    rejected,
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Find near-duplicates for the given feedback ids among reports created
+// within the duplicate window around them, and save the groups found.
+// Returns the Map of changed id -> group id.
+async function assignDuplicateGroups(env, ids) {
+  if (ids.length === 0) return new Map();
+
+  const span = await env.DB.prepare(`
+    SELECT MIN(created_at) as first, MAX(created_at) as last
+    FROM feedback
+    WHERE id BETWEEN ? AND ?
+  `).bind(Math.min(...ids), Math.max(...ids)).first();
+  if (!span || !span.first) return new Map();
+
+  const rows = await env.DB.prepare(`
+    SELECT id, created_at, content, duplicate_group_id
+    FROM feedback
+    WHERE created_at >= datetime(?, ?) AND created_at <= datetime(?, ?)
+      AND ${ACTIVE_FEEDBACK_SQL}
+    ORDER BY id DESC
+    LIMIT ?
+  `).bind(
+    span.first, `-${DUPLICATE_WINDOW_DAYS} days`,
+    span.last, `+${DUPLICATE_WINDOW_DAYS} days`,
+    DUPLICATE_MAX_CANDIDATES,
+  ).all();
+
+  const changes = matchDuplicates(rows.results, new Set(ids));
+  const statements = [...changes].map(([id, group]) =>
+    env.DB.prepare('UPDATE feedback SET duplicate_group_id = ? WHERE id = ?').bind(group, id));
+  for (let i = 0; i < statements.length; i += IMPORT_BATCH_SIZE) {
+    await env.DB.batch(statements.slice(i, i + IMPORT_BATCH_SIZE));
+  }
+
+  return changes;
+}
+
+// Group near-duplicates among existing feedback that has no group yet,
+// e.g. rows stored before duplicate detection existed
+async function backfillDuplicates(env, corsHeaders) {
+  let lastId = 0;
+  let checked = 0;
+  let grouped = 0;
+
+  while (true) {
+    const batch = await env.DB.prepare(`
+      SELECT id FROM feedback
+      WHERE duplicate_group_id IS NULL AND id > ? AND ${ACTIVE_FEEDBACK_SQL}
+      ORDER BY id
+      LIMIT ?
+    `).bind(lastId, DUPLICATE_BACKFILL_BATCH).all();
+    if (batch.results.length === 0) break;
+
+    const ids = batch.results.map(row => row.id);
+    const changes = await assignDuplicateGroups(env, ids);
+    checked += ids.length;
+    grouped += changes.size;
+    lastId = ids[ids.length - 1];
+  }
+
+  if (grouped > 0) {
+    await invalidateDashboardCache(env);
+  }
+
+  return new Response(JSON.stringify({ checked, grouped }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Get theme statistics. Feedback with several themes counts toward each;
+// primary_count is the number of items where the theme is the primary one.
+async function getThemes(env, window, corsHeaders) {
+  const range = windowFilter(window, 'f.created_at');
+
+  const themes = await env.DB.prepare(`
+    SELECT 
+      ft.theme as theme,
+      COUNT(*) as total,
+      SUM(ft.is_primary) as primary_count,
+      AVG(ft.confidence) as avg_confidence,
+      COUNT(DISTINCT COALESCE(f.duplicate_group_id, f.id)) as distinct_issues,
+      SUM(CASE WHEN f.sentiment = 'positive' THEN 1 ELSE 0 END) as positive,
+      SUM(CASE WHEN f.sentiment = 'negative' THEN 1 ELSE 0 END) as negative,
+      SUM(CASE WHEN f.urgency = 'critical' THEN 1 ELSE 0 END) as critical,
+      SUM(CASE WHEN f.urgency = 'high' THEN 1 ELSE 0 END) as high,
+      AVG(f.sentiment_score) as avg_sentiment
+    FROM feedback_themes ft
+    JOIN feedback f ON f.id = ft.feedback_id
+    WHERE f.analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL} AND ft.theme != 'uncategorized'${range.sql}
+    GROUP BY ft.theme
+    ORDER BY total DESC
+  `).bind(...range.params).all();
+
+  return new Response(JSON.stringify(themes.results), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Get sentiment trend over time (from the daily_metrics rollup)
+// Without a date range, the most recent DEFAULT_TREND_BUCKETS buckets are returned.
+async function getSentimentTrend(env, window, corsHeaders) {
+  const range = windowFilter(window, 'metric_date');
+  const limit = window.from || window.to ? '' : `LIMIT ${DEFAULT_TREND_BUCKETS}`;
+
+  const trend = await env.DB.prepare(`
+    SELECT 
+      ${windowBucket(window, 'metric_date')} as date,
+      SUM(total_count) as total,
+      SUM(avg_sentiment_score * total_count) / SUM(total_count) as avg_sentiment,
+      SUM(positive_count) as positive,
+      SUM(negative_count) as negative
+    FROM daily_metrics
+    WHERE theme = ?${range.sql}
+    GROUP BY date
+    ORDER BY date DESC
+    ${limit}
+  `).bind(ALL_THEMES, ...range.params).all();
+
+  return new Response(JSON.stringify(trend.results.reverse()), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Get detailed view for a specific theme
+async function getThemeDetail(env, theme, window, corsHeaders) {
+  if (!theme) {
+    return new Response(JSON.stringify({ error: 'Theme parameter required' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const metricsRange = windowFilter(window, 'metric_date');
+  const feedbackRange = windowFilter(window, 'created_at');
+  const limit = window.from || window.to ? '' : `LIMIT ${DEFAULT_TREND_BUCKETS}`;
+
+  // Get theme stats (from the daily_metrics rollup)
+  const stats = await env.DB.prepare(`
+    SELECT 
+      COALESCE(SUM(total_count), 0) as total,
+      SUM(avg_sentiment_score * total_count) / SUM(total_count) as avg_sentiment,
+      COALESCE(SUM(positive_count), 0) as positive,
+      COALESCE(SUM(neutral_count), 0) as neutral,
+      COALESCE(SUM(negative_count), 0) as negative,
+      COALESCE(SUM(urgency_critical), 0) as critical,
+      COALESCE(SUM(urgency_high), 0) as high,
+      COALESCE(SUM(urgency_medium), 0) as medium,
+      COALESCE(SUM(urgency_low), 0) as low
+    FROM daily_metrics
+    WHERE theme = ?${metricsRange.sql}
+  `).bind(theme, ...metricsRange.params).first();
+
+  // Get channel breakdown
+  const channels = await env.DB.prepare(`
+    SELECT channel, COUNT(*) as count
+    FROM feedback
+    JOIN feedback_themes ft ON ft.feedback_id = feedback.id
+    WHERE ft.theme = ? AND analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}${feedbackRange.sql}
+    GROUP BY channel
+  `).bind(theme, ...feedbackRange.params).all();
+
+  // Get sample feedback, with how confidently each carries this theme
+  const samples = await env.DB.prepare(`
+    SELECT feedback.*, ft.confidence as theme_confidence, ft.is_primary as theme_is_primary
+    FROM feedback
+    JOIN feedback_themes ft ON ft.feedback_id = feedback.id
+    WHERE ft.theme = ? AND analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}${feedbackRange.sql}
+    ORDER BY 
+      CASE urgency 
+        WHEN 'critical' THEN 1 
+        WHEN 'high' THEN 2 
+        WHEN 'medium' THEN 3 
+        ELSE 4 
+      END,
+      created_at DESC
+    LIMIT 10
+  `).bind(theme, ...feedbackRange.params).all();
+
+  // Get sentiment trend for this theme
+  const trend = await env.DB.prepare(`
+    SELECT 
+      ${windowBucket(window, 'metric_date')} as date,
+      SUM(total_count) as count,
+      SUM(avg_sentiment_score * total_count) / SUM(total_count) as avg_sentiment,
+      SUM(positive_count) as positive,
+      SUM(neutral_count) as neutral,
+      SUM(negative_count) as negative
+    FROM daily_metrics
+    WHERE theme = ?${metricsRange.sql}
+    GROUP BY date
+    ORDER BY date DESC
+    ${limit}
+  `).bind(theme, ...metricsRange.params).all();
+
+  // Get recent feedback for summary (last 10 items)
+  const recentForSummary = await env.DB.prepare(`
+    SELECT content
+    FROM feedback
+    JOIN feedback_themes ft ON ft.feedback_id = feedback.id
+    WHERE ft.theme = ? AND analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}${feedbackRange.sql}
+    ORDER BY created_at DESC
+    LIMIT 10
+  `).bind(theme, ...feedbackRange.params).all();
+
+  return new Response(JSON.stringify({
+    theme,
+    stats,
+    channels: channels.results,
+    samples: samples.results,
+    trend: trend.results.reverse(),
+    recentFeedbackTexts: recentForSummary.results.map(r => r.content),
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Load the theme taxonomy in display order, with keywords parsed. Falls
+// back to just FALLBACK_THEME if the table is empty.
+async function loadTaxonomy(env) {
+  const result = await env.DB.prepare('SELECT * FROM themes ORDER BY sort_order, slug').all();
+  const taxonomy = result.results.map(row => ({ ...row, keywords: JSON.parse(row.keywords || '[]') }));
+  return taxonomy.length > 0 ? taxonomy : [{ slug: FALLBACK_THEME, display_name: 'Other', keywords: [] }];
+}
+
+// Validate a taxonomy entry. With partial, missing fields are left out
+// (for updates); otherwise slug and display_name are required.
+function validateThemeInput(input, partial = false) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['Theme must be a JSON object'], value: null };
+  }
+
+  const errors = [];
+  const value = {};
+
+  if (input.slug !== undefined || !partial) {
+    const slug = typeof input.slug === 'string' ? input.slug.trim().toLowerCase() : '';
+    if (!THEME_SLUG_PATTERN.test(slug) || slug.length > TAXONOMY_LIMITS.slug) {
+      errors.push(`slug must be lowercase words joined by hyphens, at most ${TAXONOMY_LIMITS.slug} characters`);
+    }
+    value.slug = slug;
+  }
+
+  for (const field of ['display_name', 'icon', 'description']) {
+    if (input[field] === undefined && (partial || field !== 'display_name')) continue;
+    const raw = input[field];
+    if (raw !== null && typeof raw !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+    const text = (raw || '').trim();
+    if (text.length > TAXONOMY_LIMITS[field]) {
+      errors.push(`${field} must be at most ${TAXONOMY_LIMITS[field]} characters`);
+    }
+    value[field] = text || null;
+  }
+  if ('display_name' in value && !value.display_name && !errors.some(e => e.startsWith('display_name'))) {
+    errors.push('display_name is required');
+  }
+
+  if (input.keywords !== undefined) {
+    if (!Array.isArray(input.keywords) || !input.keywords.every(k => typeof k === 'string')) {
+      errors.push('keywords must be an array of strings');
+    } else if (input.keywords.length > TAXONOMY_LIMITS.keywords) {
+      errors.push(`keywords must have at most ${TAXONOMY_LIMITS.keywords} entries`);
+    } else {
+      value.keywords = [...new Set(input.keywords.map(k => k.trim().toLowerCase()).filter(Boolean))];
+    }
+  }
+
+  if (input.sort_order !== undefined) {
+    if (!Number.isInteger(input.sort_order)) {
+      errors.push('sort_order must be an integer');
+    }
+    value.sort_order = input.sort_order;
+  }
+
+  return { errors, value };
+}
+
+// A themes row as returned by the API, with keywords parsed
+function taxonomyResponse(theme) {
+  return { ...theme, keywords: JSON.parse(theme.keywords || '[]') };
+}
+
+// List the taxonomy with how many feedback items carry each theme
+async function listTaxonomy(env, corsHeaders) {
+  const themes = await env.DB.prepare(`
+    SELECT t.*, (SELECT COUNT(*) FROM feedback_themes ft WHERE ft.theme = t.slug) as feedback_count
+    FROM themes t
+    ORDER BY t.sort_order, t.slug
+  `).all();
+
+  return new Response(JSON.stringify(themes.results.map(taxonomyResponse)), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Prepare the INSERT for a validated theme; without a sort_order it goes last
+function insertThemeStatement(env, value) {
+  return env.DB.prepare(`
+    INSERT INTO themes (slug, display_name, icon, description, keywords, sort_order)
+    VALUES (?, ?, ?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM themes)))
+  `).bind(
+    value.slug,
+    value.display_name,
+    value.icon || null,
+    value.description || null,
+    JSON.stringify(value.keywords || []),
+    value.sort_order ?? null
+  );
+}
+
+// Add a theme to the taxonomy
+async function createTheme(env, request, corsHeaders) {
+  const input = await request.json().catch(() => null);
+  const { errors, value } = validateThemeInput(input);
+  if (errors.length > 0) {
+    return new Response(JSON.stringify({ error: 'Invalid theme', details: errors }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const existing = await env.DB.prepare('SELECT slug FROM themes WHERE slug = ?').bind(value.slug).first();
+  if (existing) {
+    return new Response(JSON.stringify({ error: `Theme ${value.slug} already exists` }), {
+      status: 409,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  await insertThemeStatement(env, value).run();
+
+  const theme = await env.DB.prepare('SELECT * FROM themes WHERE slug = ?').bind(value.slug).first();
+  return new Response(JSON.stringify(taxonomyResponse(theme)), {
+    status: 201,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Move every label of one theme onto another (feedback.theme and
+// feedback_themes), then re-roll the days it appeared on in daily_metrics.
+// Items already carrying the target theme keep the higher confidence.
+// Returns the number of feedback items relabeled.
+async function relabelTheme(env, from, to) {
+  const count = await env.DB.prepare('SELECT COUNT(*) as count FROM feedback_themes WHERE theme = ?').bind(from).first();
+  const dates = await env.DB.prepare('SELECT DISTINCT metric_date FROM daily_metrics WHERE theme = ?').bind(from).all();
+
+  await env.DB.batch([
+    env.DB.prepare(`
+      UPDATE feedback_themes
+      SET confidence = MAX(confidence, (SELECT s.confidence FROM feedback_themes s WHERE s.feedback_id = feedback_themes.feedback_id AND s.theme = ?)),
+          is_primary = MAX(is_primary, (SELECT s.is_primary FROM feedback_themes s WHERE s.feedback_id = feedback_themes.feedback_id AND s.theme = ?))
+      WHERE theme = ? AND feedback_id IN (SELECT feedback_id FROM feedback_themes WHERE theme = ?)
+    `).bind(from, from, to, from),
+    env.DB.prepare(`
+      DELETE FROM feedback_themes
+      WHERE theme = ? AND feedback_id IN (SELECT feedback_id FROM feedback_themes WHERE theme = ?)
+    `).bind(from, to),
+    env.DB.prepare('UPDATE feedback_themes SET theme = ? WHERE theme = ?').bind(to, from),
+    env.DB.prepare('UPDATE feedback SET theme = ? WHERE theme = ?').bind(to, from),
+  ]);
+
+  const days = dates.results.map(row => row.metric_date);
+  if (days.length > 0) {
+    await rollupDailyMetrics(env, days);
+  }
+  await invalidateDashboardCache(env);
+
+  return count.count;
+}
+
+// Update a theme's fields. A new slug renames the theme and relabels its
+// feedback.
+async function updateTheme(env, slug, request, corsHeaders) {
+  const theme = await env.DB.prepare('SELECT * FROM themes WHERE slug = ?').bind(slug).first();
+  if (!theme) {
+    return new Response(JSON.stringify({ error: 'Theme not found' }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const input = await request.json().catch(() => null);
+  const { errors, value } = validateThemeInput(input, true);
+  if (errors.length > 0) {
+    return new Response(JSON.stringify({ error: 'Invalid theme', details: errors }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
 
-Please provide a concise 2-3 sentence summary that:
-1. Identifies the main pain points or requests
-2. Notes any patterns or common themes
-3. Suggests what action might be needed
+  const newSlug = value.slug && value.slug !== slug ? value.slug : null;
+  if (newSlug && slug === FALLBACK_THEME) {
+    return new Response(JSON.stringify({ error: `The ${FALLBACK_THEME} theme cannot be renamed` }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+  if (newSlug) {
+    const existing = await env.DB.prepare('SELECT slug FROM themes WHERE slug = ?').bind(newSlug).first();
+    if (existing) {
+      return new Response(JSON.stringify({ error: `Theme ${newSlug} already exists; merge into it instead` }), {
+        status: 409,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+  }
 
-Keep it actionable and professional.`;
+  await env.DB.prepare(`
+    UPDATE themes
+    SET slug = ?,
+        display_name = ?,
+        icon = ?,
+        description = ?,
+        keywords = ?,
+        sort_order = ?,
+        updated_at = datetime('now')
+    WHERE slug = ?
+  `).bind(
+    newSlug || slug,
+    value.display_name !== undefined ? value.display_name : theme.display_name,
+    value.icon !== undefined ? value.icon : theme.icon,
+    value.description !== undefined ? value.description : theme.description,
+    value.keywords !== undefined ? JSON.stringify(value.keywords) : theme.keywords,
+    value.sort_order !== undefined ? value.sort_order : theme.sort_order,
+    slug
+  ).run();
+
+  const relabeled = newSlug ? await relabelTheme(env, slug, newSlug) : 0;
+
+  const updated = await env.DB.prepare('SELECT * FROM themes WHERE slug = ?').bind(newSlug || slug).first();
+  return new Response(JSON.stringify({ ...taxonomyResponse(updated), relabeled }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
 
-  try {
-    const aiResponse = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
-      messages: [
-        { role: 'system', content: 'You are a helpful product management assistant that summarizes customer feedback concisely and actionably.' },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 300,
+// Merge a theme into another: its feedback is relabeled, its keywords are
+// added to the target and the theme is removed
+async function mergeTheme(env, slug, request, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const input = body && typeof body === 'object' ? body : {};
+  const into = typeof input.into === 'string' ? input.into.trim().toLowerCase() : '';
+
+  const [source, target] = await Promise.all([
+    env.DB.prepare('SELECT * FROM themes WHERE slug = ?').bind(slug).first(),
+    env.DB.prepare('SELECT * FROM themes WHERE slug = ?').bind(into).first(),
+  ]);
+  if (!source || !target) {
+    return new Response(JSON.stringify({ error: !source ? 'Theme not found' : `Target theme ${into || '(missing)'} not found` }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+  if (slug === into || slug === FALLBACK_THEME) {
+    return new Response(JSON.stringify({
+      error: slug === into ? 'Cannot merge a theme into itself' : `The ${FALLBACK_THEME} theme cannot be merged away`,
+    }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const keywords = [...new Set([...JSON.parse(target.keywords || '[]'), ...JSON.parse(source.keywords || '[]')])];
+  await env.DB.prepare(`UPDATE themes SET keywords = ?, updated_at = datetime('now') WHERE slug = ?`)
+    .bind(JSON.stringify(keywords), into).run();
+
+  const relabeled = await relabelTheme(env, slug, into);
+  await env.DB.prepare('DELETE FROM themes WHERE slug = ?').bind(slug).run();
+
+  const merged = await env.DB.prepare('SELECT * FROM themes WHERE slug = ?').bind(into).first();
+  return new Response(JSON.stringify({ ...taxonomyResponse(merged), merged: slug, relabeled }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Remove a theme that no feedback uses
+async function deleteTheme(env, slug, corsHeaders) {
+  if (slug === FALLBACK_THEME) {
+    return new Response(JSON.stringify({ error: `The ${FALLBACK_THEME} theme cannot be deleted` }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const usage = await env.DB.prepare('SELECT COUNT(*) as count FROM feedback_themes WHERE theme = ?').bind(slug).first();
+  if (usage.count > 0) {
+    return new Response(JSON.stringify({
+      error: 'Theme is in use; merge it into another theme instead',
+      feedback_count: usage.count,
+    }), {
+      status: 409,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const result = await env.DB.prepare('DELETE FROM themes WHERE slug = ?').bind(slug).run();
+  if (result.meta.changes === 0) {
+    return new Response(JSON.stringify({ error: 'Theme not found' }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  return new Response(JSON.stringify({ deleted: slug }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Summarize feedback using the AI provider
+async function summarizeFeedback(env, request, corsHeaders) {
+  const { feedbackTexts, theme } = await request.json();
+  
+  if (!feedbackTexts || feedbackTexts.length === 0) {
+    return new Response(JSON.stringify({ summary: 'No feedback to summarize.' }), {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
+  }
+
+  try {
+    const provider = getProvider(env);
+    if (!provider) throw new Error('No AI provider configured');
+    const { text, model } = await generate(provider, 'summary', { theme, feedbackTexts: feedbackTexts.slice(0, 10) });
 
     return new Response(JSON.stringify({ 
-      summary: aiResponse.response 
+      summary: text,
+      model,
     }), {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
@@ -400,7 +2259,8 @@ Keep it actionable and professional.`;
   }
 }
 
-// Analyze feedback using Workers AI
+// Analyze feedback using the AI provider (or the rule-based classifier when
+// AI is disabled, missing or failing)
 async function analyzeWithAI(env, request, corsHeaders) {
   const { content } = await request.json();
   
@@ -411,69 +2271,848 @@ async function analyzeWithAI(env, request, corsHeaders) {
     });
   }
 
-  // Use Workers AI for analysis
-  const prompt = `Analyze this product feedback and respond in JSON format only:
-
-Feedback: "${content}"
+  const taxonomy = await loadTaxonomy(env);
+  let analysis;
+  try {
+    analysis = await runAnalysis(env, content, taxonomy);
+  } catch (error) {
+    analysis = rulesAnalysis(content, taxonomy, `AI analysis unavailable: ${error.message}`);
+  }
 
-Respond with exactly this JSON structure (no other text):
-{
-  "sentiment": "positive" or "neutral" or "negative",
-  "sentiment_score": number from -1.0 to 1.0,
-  "theme": one of ["performance", "pricing", "documentation", "developer-experience", "reliability", "feature-request", "other"],
-  "urgency": "low" or "medium" or "high" or "critical",
-  "summary": "one sentence summary of the feedback"
-}`;
+  return new Response(JSON.stringify(analysis), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
 
-  try {
-    const aiResponse = await env.AI.run('@cf/meta/llama-3-8b-instruct', {
-      messages: [
-        { role: 'system', content: 'You are a product feedback analyzer. Always respond with valid JSON only.' },
-        { role: 'user', content: prompt }
-      ],
-      max_tokens: 200,
-    });
+// Statements writing an analysis to a feedback row: its labels, stamps and
+// theme labels. Rows a person verified meanwhile are left alone, so a
+// correction made while the model was running wins.
+function analysisStatements(env, id, analysis) {
+  return [
+    env.DB.prepare(`
+      UPDATE feedback
+      SET sentiment = ?,
+          sentiment_score = ?,
+          theme = ?,
+          urgency = ?,
+          value_score = ?,
+          value_rationale = ?,
+          model = ?,
+          prompt_version = ?,
+          analysis_source = ?,
+          analyzed = 1,
+          analyzed_at = datetime('now'),
+          reanalysis_requested = 0,
+          analysis_attempts = analysis_attempts + 1,
+          analysis_error = ?,
+          last_analysis_at = datetime('now')
+      WHERE id = ? AND human_verified = 0
+    `).bind(
+      analysis.sentiment,
+      analysis.sentiment_score,
+      analysis.theme,
+      analysis.urgency,
+      analysis.value_score,
+      analysis.value_rationale || null,
+      analysis.model,
+      analysis.prompt_version,
+      analysis.source,
+      analysis.reason || null,
+      id
+    ),
+    env.DB.prepare(`
+      DELETE FROM feedback_themes
+      WHERE feedback_id = ? AND feedback_id IN (SELECT id FROM feedback WHERE human_verified = 0)
+    `).bind(id),
+    ...analysis.themes.map((label, index) => env.DB.prepare(`
+      INSERT INTO feedback_themes (feedback_id, theme, confidence, is_primary)
+      SELECT id, ?, ?, ? FROM feedback WHERE id = ? AND human_verified = 0
+    `).bind(label.theme, label.confidence, index === 0 ? 1 : 0, id)),
+  ];
+}
 
-    // Parse the AI response
+// Analyze a batch of pending feedback rows, then rows queued for
+// re-analysis, and write the results back stamped with the model and prompt
+// version and source. Rows the model fails on (including fallback analyses)
+// are retried on later runs until they hit MAX_ANALYSIS_ATTEMPTS; on the
+// last attempt new rows keep the rule-based labels, while re-analyzed rows
+// keep their old labels and leave the queue with analysis_error set.
+// Without AI the rules label everything.
+async function processPendingFeedback(env) {
+  const pending = await env.DB.prepare(`
+    SELECT id, created_at, title, content, analyzed, analysis_attempts
+    FROM feedback
+    WHERE (analyzed = 0 OR reanalysis_requested = 1) AND human_verified = 0 AND analysis_attempts < ?
+      AND ${ACTIVE_FEEDBACK_SQL}
+    ORDER BY analyzed ASC, created_at ASC, id ASC
+    LIMIT ?
+  `).bind(MAX_ANALYSIS_ATTEMPTS, ANALYSIS_BATCH_SIZE).all();
+
+  const taxonomy = pending.results.length > 0 ? await loadTaxonomy(env) : [];
+  const statements = [];
+  const dates = new Set();
+  let failed = 0;
+  let ruleBased = 0;
+
+  for (const row of pending.results) {
+    const text = analysisText(row);
     let analysis;
     try {
-      // Try to extract JSON from the response
-      const jsonMatch = aiResponse.response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        analysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      // Fallback if AI response is not valid JSON
-      analysis = {
-        sentiment: 'neutral',
-        sentiment_score: 0,
-        theme: 'other',
-        urgency: 'medium',
-        summary: 'Unable to parse AI response',
-        raw_response: aiResponse.response,
-      };
+      analysis = await runAnalysis(env, text, taxonomy);
+    } catch (error) {
+      analysis = rulesAnalysis(text, taxonomy, `AI analysis unavailable: ${error.message}`);
+    }
+
+    if (analysis.status === 'fallback' && (row.analyzed || row.analysis_attempts + 1 < MAX_ANALYSIS_ATTEMPTS)) {
+      failed++;
+      statements.push(env.DB.prepare(`
+        UPDATE feedback
+        SET analysis_attempts = analysis_attempts + 1,
+            analysis_error = ?,
+            last_analysis_at = datetime('now'),
+            reanalysis_requested = CASE WHEN analysis_attempts + 1 >= ? THEN 0 ELSE reanalysis_requested END
+        WHERE id = ?
+      `).bind(analysis.reason, MAX_ANALYSIS_ATTEMPTS, row.id));
+      continue;
     }
 
-    return new Response(JSON.stringify(analysis), {
+    if (analysis.source === 'rules') ruleBased++;
+    statements.push(...analysisStatements(env, row.id, analysis));
+    dates.add(row.created_at.slice(0, 10));
+  }
+
+  if (statements.length > 0) {
+    await env.DB.batch(statements);
+  }
+
+  return { processed: pending.results.length - failed, failed, rule_based: ruleBased, dates: [...dates] };
+}
+
+// The prompt registry, with how many analyzed rows each model and
+// analysis prompt version produced
+async function getPromptVersions(env, corsHeaders) {
+  const analyzed = await env.DB.prepare(`
+    SELECT model, prompt_version, COUNT(*) as count
+    FROM feedback
+    WHERE analyzed = 1
+    GROUP BY model, prompt_version
+    ORDER BY prompt_version DESC
+  `).all();
+  // Only rows the pipeline will still pick up
+  const queued = await env.DB.prepare(`
+    SELECT COUNT(*) as count FROM feedback
+    WHERE reanalysis_requested = 1 AND human_verified = 0 AND analysis_attempts < ? AND ${ACTIVE_FEEDBACK_SQL}
+  `).bind(MAX_ANALYSIS_ATTEMPTS).first();
+
+  return new Response(JSON.stringify({
+    prompts: Object.entries(PROMPTS).map(([name, prompt]) => ({ name, version: prompt.version, model: prompt.model })),
+    provider: env.AI_PROVIDER || 'workers-ai',
+    analyzed: analyzed.results,
+    reanalysis_queued: queued.count,
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Queue analyzed rows labeled by an older analysis prompt (prompt_version
+// below before_version, by default the current version) for the pipeline.
+// Their labels stay until the new analysis succeeds. Unversioned rows
+// (seeded or from before versioning) are only queued with
+// include_unversioned and rule-based rows with include_rules;
+// human-verified rows never are.
+async function requestReanalysis(env, request, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const input = body && typeof body === 'object' ? body : {};
+  const beforeVersion = input.before_version ?? PROMPTS.analysis.version;
+
+  if (!Number.isInteger(beforeVersion) || beforeVersion < 1) {
+    return new Response(JSON.stringify({ error: 'before_version must be a positive integer' }), {
+      status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
-  } catch (aiError) {
-    // If AI fails, return a basic analysis
+  }
+  // current + 1 already queues every versioned row
+  if (beforeVersion > PROMPTS.analysis.version + 1) {
     return new Response(JSON.stringify({
-      sentiment: 'neutral',
-      sentiment_score: 0,
-      theme: 'other',
-      urgency: 'medium',
-      summary: 'AI analysis unavailable',
-      error: aiError.message,
+      error: `before_version cannot be above ${PROMPTS.analysis.version + 1} (current version + 1)`,
     }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const result = await env.DB.prepare(`
+    UPDATE feedback
+    SET reanalysis_requested = 1,
+        analysis_attempts = 0,
+        analysis_error = NULL
+    WHERE analyzed = 1
+      AND human_verified = 0
+      AND (
+        prompt_version < ?
+        OR (? AND prompt_version IS NULL AND analysis_source IS NULL)
+        OR (? AND analysis_source = 'rules')
+      )
+  `).bind(beforeVersion, input.include_unversioned ? 1 : 0, input.include_rules ? 1 : 0).run();
+
+  return new Response(JSON.stringify({
+    queued: result.meta.changes,
+    before_version: beforeVersion,
+    current_version: PROMPTS.analysis.version,
+    model: PROMPTS.analysis.model,
+  }), {
+    status: 202,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Run the periodic jobs: analysis first, then roll the days it touched
+// into daily_metrics (a rollup table without ALL_THEMES totals, e.g. empty
+// or from before multi-label themes, gets a full rebuild instead), then
+// embed rows that have no embedding yet and forget old webhook deliveries.
+async function runScheduledJobs(env) {
+  const { dates } = await processPendingFeedback(env);
+
+  const metrics = await env.DB.prepare('SELECT COUNT(*) as count FROM daily_metrics WHERE theme = ?')
+    .bind(ALL_THEMES).first();
+  if (metrics.count === 0) {
+    await rebuildDailyMetrics(env);
+    await invalidateDashboardCache(env);
+  } else if (dates.length > 0) {
+    await rollupDailyMetrics(env, dates);
+    await invalidateDashboardCache(env);
+  }
+
+  await embedPendingFeedback(env);
+
+  await env.DB.prepare(`
+    DELETE FROM webhook_deliveries WHERE received_at < datetime('now', ?)
+  `).bind(`-${WEBHOOK_DELIVERY_RETENTION_DAYS} days`).run();
+}
+
+// Aggregate analyzed feedback per day and theme label into daily_metrics,
+// plus an ALL_THEMES row per day with the totals across all feedback.
+// {where} narrows which feedback rows are rolled up.
+function dailyMetricsUpsert(env, where, params) {
+  return env.DB.prepare(`
+    INSERT INTO daily_metrics (
+      metric_date, theme, total_count,
+      positive_count, neutral_count, negative_count,
+      urgency_low, urgency_medium, urgency_high, urgency_critical,
+      avg_sentiment_score
+    )
+    SELECT
+      DATE(created_at),
+      label,
+      COUNT(*),
+      SUM(CASE WHEN sentiment = 'positive' THEN 1 ELSE 0 END),
+      SUM(CASE WHEN sentiment = 'neutral' THEN 1 ELSE 0 END),
+      SUM(CASE WHEN sentiment = 'negative' THEN 1 ELSE 0 END),
+      SUM(CASE WHEN urgency = 'low' THEN 1 ELSE 0 END),
+      SUM(CASE WHEN urgency = 'medium' THEN 1 ELSE 0 END),
+      SUM(CASE WHEN urgency = 'high' THEN 1 ELSE 0 END),
+      SUM(CASE WHEN urgency = 'critical' THEN 1 ELSE 0 END),
+      AVG(sentiment_score)
+    FROM (
+      SELECT f.created_at, f.sentiment, f.urgency, f.sentiment_score, ft.theme AS label
+      FROM feedback f JOIN feedback_themes ft ON ft.feedback_id = f.id
+      WHERE f.analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL} ${where}
+      UNION ALL
+      SELECT created_at, sentiment, urgency, sentiment_score, ?
+      FROM feedback
+      WHERE analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL} ${where}
+    )
+    WHERE 1 = 1
+    GROUP BY DATE(created_at), label
+    ON CONFLICT(metric_date, theme) DO UPDATE SET
+      total_count = excluded.total_count,
+      positive_count = excluded.positive_count,
+      neutral_count = excluded.neutral_count,
+      negative_count = excluded.negative_count,
+      urgency_low = excluded.urgency_low,
+      urgency_medium = excluded.urgency_medium,
+      urgency_high = excluded.urgency_high,
+      urgency_critical = excluded.urgency_critical,
+      avg_sentiment_score = excluded.avg_sentiment_score
+  `).bind(...params, ALL_THEMES, ...params);
+}
+
+// Recompute daily_metrics for specific days ('YYYY-MM-DD'). Themes that no
+// longer have analyzed feedback on those days are removed.
+async function rollupDailyMetrics(env, dates) {
+  const datesJson = JSON.stringify(dates);
+
+  await env.DB.batch([
+    dailyMetricsUpsert(env, 'AND DATE(created_at) IN (SELECT value FROM json_each(?))', [datesJson]),
+    env.DB.prepare(`
+      DELETE FROM daily_metrics
+      WHERE metric_date IN (SELECT value FROM json_each(?))
+        AND NOT EXISTS (
+          SELECT 1 FROM feedback f
+          LEFT JOIN feedback_themes ft ON ft.feedback_id = f.id
+          WHERE f.analyzed = 1 AND ${ACTIVE_FEEDBACK_SQL}
+            AND DATE(f.created_at) = daily_metrics.metric_date
+            AND (daily_metrics.theme = ? OR ft.theme = daily_metrics.theme)
+        )
+    `).bind(datesJson, ALL_THEMES),
+  ]);
+}
+
+// Rebuild daily_metrics from scratch
+async function rebuildDailyMetrics(env) {
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM daily_metrics'),
+    dailyMetricsUpsert(env, '', []),
+  ]);
+}
+
+// Rebuild daily_metrics, either fully or for the days listed in the body
+async function rebuildMetrics(env, request, corsHeaders) {
+  const body = await request.json().catch(() => ({}));
+  const input = body && typeof body === 'object' ? body : {};
+  const dates = Array.isArray(input.dates) ? input.dates : null;
+
+  if (dates && !dates.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+    return new Response(JSON.stringify({ error: 'dates must be YYYY-MM-DD strings' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  if (dates) {
+    await rollupDailyMetrics(env, dates);
+  } else {
+    await rebuildDailyMetrics(env);
+  }
+  await invalidateDashboardCache(env);
+
+  const metrics = await env.DB.prepare('SELECT COUNT(*) as count FROM daily_metrics').first();
+
+  return new Response(JSON.stringify({
+    mode: dates ? 'incremental' : 'full',
+    dates: dates || undefined,
+    rows: metrics.count,
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Embedding model in use: the Workers AI model, or the local stub when
+// EMBEDDING_MODEL=stub or there is no AI binding
+function embeddingModel(env) {
+  if (env.EMBEDDING_MODEL === STUB_EMBEDDING_MODEL || !env.AI) return STUB_EMBEDDING_MODEL;
+  return env.EMBEDDING_MODEL || EMBEDDING_MODEL;
+}
+
+// Deterministic bag-of-words embedding for local development and tests.
+// Words and word pairs are hashed (FNV-1a) into a fixed number of signed
+// buckets, then L2-normalized.
+function stubEmbedding(text) {
+  const vector = new Array(STUB_EMBEDDING_DIMENSIONS).fill(0);
+  const words = (text.toLowerCase().match(/[a-z0-9]+/g) || []).map(w => w.replace(/s$/, ''));
+  const features = [...words, ...words.slice(1).map((w, i) => `${words[i]} ${w}`)];
+
+  for (const feature of features) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      hash ^= feature.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    vector[hash % STUB_EMBEDDING_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+// Embed a list of texts with the active embedding model
+async function embedTexts(env, texts) {
+  const model = embeddingModel(env);
+  if (model === STUB_EMBEDDING_MODEL) {
+    return { model, vectors: texts.map(stubEmbedding) };
+  }
+
+  const result = await env.AI.run(model, { text: texts });
+  return { model, vectors: result.data };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Text used to embed a feedback row
+function embeddingText(row) {
+  return row.title ? `${row.title}\n\n${row.content}` : row.content;
+}
+
+// Store embeddings in D1 (and in Vectorize when bound) for feedback rows
+async function storeEmbeddings(env, rows, model, vectors) {
+  await env.DB.batch(rows.map((row, i) => env.DB.prepare(`
+    INSERT OR REPLACE INTO feedback_embeddings (feedback_id, model, dimensions, vector, created_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+  `).bind(row.id, model, vectors[i].length, JSON.stringify(vectors[i]))));
+
+  if (env.VECTORIZE && model !== STUB_EMBEDDING_MODEL) {
+    await env.VECTORIZE.upsert(rows.map((row, i) => ({
+      id: String(row.id),
+      values: vectors[i],
+      metadata: { model },
+    })));
+  }
+}
+
+// Embed a batch of feedback rows that have no embedding for the active
+// model yet (new rows, edited rows, or rows embedded by another model)
+async function embedPendingFeedback(env) {
+  const model = embeddingModel(env);
+  const pending = await env.DB.prepare(`
+    SELECT f.id, f.title, f.content
+    FROM feedback f
+    LEFT JOIN feedback_embeddings e ON e.feedback_id = f.id
+    WHERE (e.feedback_id IS NULL OR e.model != ?) AND ${ACTIVE_FEEDBACK_SQL}
+    ORDER BY f.id
+    LIMIT ?
+  `).bind(model, EMBEDDING_BATCH_SIZE).all();
+
+  if (pending.results.length === 0) {
+    return { embedded: 0 };
+  }
+
+  try {
+    const { vectors } = await embedTexts(env, pending.results.map(embeddingText));
+    await storeEmbeddings(env, pending.results, model, vectors);
+  } catch (error) {
+    console.error('Embedding run failed:', error);
+    return { embedded: 0 };
+  }
+
+  return { embedded: pending.results.length };
+}
+
+// Find the feedback rows nearest to a vector. Uses Vectorize when bound
+// (for hosted models), otherwise scans the newest EMBEDDING_SCAN_MAX_ROWS
+// rows of the in-D1 vector table.
+async function findNearestFeedback(env, model, vector, limit, excludeId = null) {
+  let matches;
+
+  if (env.VECTORIZE && model !== STUB_EMBEDDING_MODEL) {
+    const result = await env.VECTORIZE.query(vector, { topK: limit + 1 });
+    matches = result.matches.map(m => ({ id: Number(m.id), similarity: m.score }));
+  } else {
+    const stored = await env.DB.prepare(`
+      SELECT feedback_id, vector FROM feedback_embeddings
+      WHERE model = ?
+      ORDER BY feedback_id DESC
+      LIMIT ?
+    `).bind(model, EMBEDDING_SCAN_MAX_ROWS).all();
+    matches = stored.results
+      .map(row => ({ id: row.feedback_id, similarity: cosineSimilarity(vector, JSON.parse(row.vector)) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit + 1);
+  }
+
+  matches = matches.filter(m => m.id !== excludeId).slice(0, limit);
+  if (matches.length === 0) return [];
+
+  const rows = await env.DB.prepare(`
+    SELECT * FROM feedback WHERE id IN (SELECT value FROM json_each(?)) AND ${ACTIVE_FEEDBACK_SQL}
+  `).bind(JSON.stringify(matches.map(m => m.id))).all();
+  const byId = new Map(rows.results.map(row => [row.id, row]));
+
+  return matches
+    .filter(m => byId.has(m.id))
+    .map(m => ({ ...byId.get(m.id), similarity: Math.round(m.similarity * 10000) / 10000 }));
+}
+
+// Parse the limit parameter for similarity endpoints
+function similarityLimit(url) {
+  return Math.min(Math.max(parseInt(url.searchParams.get('limit') || '10') || 10, 1), SIMILAR_MAX_RESULTS);
+}
+
+// Get feedback most similar to an existing row. Rows without an
+// embedding are embedded on the spot.
+async function getSimilarFeedback(env, id, url, corsHeaders) {
+  const row = await env.DB.prepare('SELECT id, title, content FROM feedback WHERE id = ?').bind(id).first();
+  if (!row) {
+    return new Response(JSON.stringify({ error: 'Feedback not found' }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const model = embeddingModel(env);
+  const stored = await env.DB.prepare(`
+    SELECT vector FROM feedback_embeddings WHERE feedback_id = ? AND model = ?
+  `).bind(id, model).first();
+
+  let vector;
+  if (stored) {
+    vector = JSON.parse(stored.vector);
+  } else {
+    const { vectors } = await embedTexts(env, [embeddingText(row)]);
+    vector = vectors[0];
+    await storeEmbeddings(env, [row], model, vectors);
+  }
+
+  const items = await findNearestFeedback(env, model, vector, similarityLimit(url), row.id);
+
+  return new Response(JSON.stringify({ id: row.id, model, items }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Search feedback by meaning rather than keywords
+async function semanticSearch(env, url, corsHeaders) {
+  const q = (url.searchParams.get('q') || '').trim();
+  if (!q) {
+    return new Response(JSON.stringify({ error: 'q parameter required' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const { model, vectors } = await embedTexts(env, [q]);
+  const items = await findNearestFeedback(env, model, vectors[0], similarityLimit(url));
+
+  return new Response(JSON.stringify({ q, model, items }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Greedy centroid clustering: each item joins the most similar cluster
+// (cosine against the sum of its members' vectors) when the score clears
+// the threshold, and starts a new cluster otherwise
+function clusterByEmbedding(items, threshold) {
+  const clusters = [];
+
+  for (const item of items) {
+    let best = null;
+    let bestScore = threshold;
+    for (const cluster of clusters) {
+      const score = cosineSimilarity(item.vector, cluster.sum);
+      if (score >= bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      best.members.push(item);
+      item.vector.forEach((value, i) => { best.sum[i] += value; });
+    } else {
+      clusters.push({ sum: [...item.vector], members: [item] });
+    }
+  }
+
+  return clusters;
+}
+
+// Words shared by the most feedback items in a cluster
+function clusterKeywords(rows, limit = 5) {
+  const counts = new Map();
+  for (const row of rows) {
+    const words = new Set(`${row.title || ''} ${row.content}`
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2 && !STOPWORDS.has(word)));
+    words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  }
+
+  return [...counts]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+}
+
+// Name a candidate theme. With an AI provider the model proposes a slug,
+// display name and description from the example texts; without one, or
+// if its answer is invalid, the name comes from the top keywords.
+async function nameThemeCandidate(env, examples, keywords, taxonomy) {
+  try {
+    const provider = getProvider(env);
+    if (provider) {
+      const { text } = await generate(provider, 'themeNaming', {
+        texts: examples.map(embeddingText),
+        themeSlugs: taxonomy.map(theme => theme.slug),
+      });
+      const { errors, value } = validateThemeInput(parseAnalysisJson(text));
+      if (errors.length === 0) return value;
+    }
+  } catch (error) {
+    console.warn('Theme naming failed, using keywords:', error.message);
+  }
+
+  const words = keywords.slice(0, 2);
+  const slug = words.join('-').normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return {
+    slug: slug || 'emerging-theme',
+    display_name: words.length > 0
+      ? words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+      : 'Emerging Theme',
+    description: null,
+  };
+}
+
+// Whether most of a cluster's feedback ids are among a candidate's members
+function mostlyRepeats(ids, members) {
+  return ids.filter(id => members.has(id)).length * 2 > ids.length;
+}
+
+// Cluster recent analyzed feedback whose primary theme is still unthemed
+// and refresh the open candidates from the clusters found. A cluster that
+// mostly repeats an open candidate (or is named like one) updates it in
+// place, so candidate ids stay valid between runs; open candidates without
+// a cluster are removed. Clusters that mostly repeat a dismissed candidate
+// are not proposed again. Rows are clustered once they have an embedding
+// from the current model.
+async function discoverThemeCandidates(env) {
+  const model = embeddingModel(env);
+  const rows = await env.DB.prepare(`
+    SELECT f.id, f.title, f.content, e.vector
+    FROM feedback f
+    JOIN feedback_embeddings e ON e.feedback_id = f.id AND e.model = ?
+    WHERE f.analyzed = 1 AND f.human_verified = 0 AND ${ACTIVE_FEEDBACK_SQL} AND f.theme IN (SELECT value FROM json_each(?))
+    ORDER BY f.created_at DESC
+    LIMIT ?
+  `).bind(model, JSON.stringify(UNTHEMED), THEME_DISCOVERY_MAX_ROWS).all();
+
+  const items = rows.results.map(row => ({ ...row, vector: JSON.parse(row.vector) }));
+  const threshold = model === STUB_EMBEDDING_MODEL ? STUB_CANDIDATE_SIMILARITY : CANDIDATE_SIMILARITY;
+  const clusters = clusterByEmbedding(items, threshold)
+    .filter(cluster => cluster.members.length >= CANDIDATE_MIN_SIZE)
+    .sort((a, b) => b.members.length - a.members.length);
+
+  const existing = await env.DB.prepare(`
+    SELECT id, slug, status, member_ids FROM theme_candidates WHERE status IN ('open', 'dismissed')
+  `).all();
+  const candidates = existing.results.map(row => ({ ...row, members: new Set(JSON.parse(row.member_ids)) }));
+  const open = candidates.filter(candidate => candidate.status === 'open');
+  const dismissed = candidates.filter(candidate => candidate.status === 'dismissed');
+
+  // Match clusters to open candidates by members first, so a candidate
+  // keeps its name even if the model would now name it differently
+  const proposals = [];
+  for (const cluster of clusters) {
+    if (proposals.length >= CANDIDATE_MAX_COUNT) break;
+
+    const ids = cluster.members.map(member => member.id);
+    if (dismissed.some(candidate => mostlyRepeats(ids, candidate.members))) continue;
+
+    const previous = open.find(candidate => !candidate.kept && mostlyRepeats(ids, candidate.members));
+    if (previous) previous.kept = true;
+    proposals.push({ cluster, ids, previous });
+  }
+
+  const taxonomy = await loadTaxonomy(env);
+  const taken = new Set([
+    ...taxonomy.map(theme => theme.slug),
+    ...open.filter(candidate => candidate.kept).map(candidate => candidate.slug),
+  ]);
+  const statements = [];
+
+  for (const { cluster, ids, previous } of proposals) {
+    const examples = [...cluster.members]
+      .sort((a, b) => cosineSimilarity(b.vector, cluster.sum) - cosineSimilarity(a.vector, cluster.sum))
+      .slice(0, CANDIDATE_EXAMPLES);
+    const keywords = clusterKeywords(cluster.members);
+    const exampleIds = examples.map(example => example.id);
+
+    if (previous) {
+      statements.push(env.DB.prepare(`
+        UPDATE theme_candidates
+        SET keywords = ?, size = ?, member_ids = ?, example_ids = ?, updated_at = datetime('now')
+        WHERE id = ? AND status = 'open'
+      `).bind(JSON.stringify(keywords), ids.length, JSON.stringify(ids), JSON.stringify(exampleIds), previous.id));
+      continue;
+    }
+
+    const name = await nameThemeCandidate(env, examples, keywords, taxonomy);
+    const sameSlug = !taken.has(name.slug) && open.find(candidate => !candidate.kept && candidate.slug === name.slug);
+    if (sameSlug) {
+      sameSlug.kept = true;
+      taken.add(name.slug);
+      statements.push(env.DB.prepare(`
+        UPDATE theme_candidates
+        SET display_name = ?, description = ?, keywords = ?, size = ?, member_ids = ?, example_ids = ?,
+            updated_at = datetime('now')
+        WHERE id = ? AND status = 'open'
+      `).bind(
+        name.display_name,
+        name.description || null,
+        JSON.stringify(keywords),
+        ids.length,
+        JSON.stringify(ids),
+        JSON.stringify(exampleIds),
+        sameSlug.id
+      ));
+      continue;
+    }
+
+    let slug = name.slug;
+    for (let n = 2; taken.has(slug); n++) slug = `${name.slug}-${n}`;
+    taken.add(slug);
+
+    statements.push(env.DB.prepare(`
+      INSERT INTO theme_candidates (slug, display_name, description, keywords, size, member_ids, example_ids)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      slug,
+      name.display_name,
+      name.description || null,
+      JSON.stringify(keywords),
+      ids.length,
+      JSON.stringify(ids),
+      JSON.stringify(exampleIds)
+    ));
+  }
+
+  const stale = open.filter(candidate => !candidate.kept).map(candidate => candidate.id);
+  if (stale.length > 0) {
+    statements.push(env.DB.prepare(`
+      DELETE FROM theme_candidates WHERE status = 'open' AND id IN (SELECT value FROM json_each(?))
+    `).bind(JSON.stringify(stale)));
+  }
+  if (statements.length > 0) {
+    await env.DB.batch(statements);
+  }
+
+  return { model, clustered: items.length, candidates: proposals.length };
+}
+
+// List theme candidates (open ones by default) with their example feedback
+async function getThemeCandidates(env, url, corsHeaders) {
+  const status = url.searchParams.get('status') || 'open';
+  if (status !== 'all' && !CANDIDATE_STATUSES.includes(status)) {
+    return new Response(JSON.stringify({ error: `status must be all or one of: ${CANDIDATE_STATUSES.join(', ')}` }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const candidates = await env.DB.prepare(`
+    SELECT * FROM theme_candidates
+    WHERE ? = 'all' OR status = ?
+    ORDER BY status = 'open' DESC, size DESC, id
+  `).bind(status, status).all();
+
+  const exampleIds = candidates.results.flatMap(candidate => JSON.parse(candidate.example_ids));
+  const examples = await env.DB.prepare(`
+    SELECT id, created_at, channel, title, content
+    FROM feedback
+    WHERE id IN (SELECT value FROM json_each(?))
+  `).bind(JSON.stringify(exampleIds)).all();
+  const byId = new Map(examples.results.map(row => [row.id, row]));
+
+  const items = candidates.results.map(({ member_ids, example_ids, keywords, ...candidate }) => ({
+    ...candidate,
+    keywords: JSON.parse(keywords),
+    member_ids: JSON.parse(member_ids),
+    examples: JSON.parse(example_ids).map(id => byId.get(id)).filter(Boolean),
+  }));
+
+  return new Response(JSON.stringify(items), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Accept an open candidate: add it to the taxonomy (the body may override
+// slug, display_name, icon, description or keywords) and make it the
+// primary theme of its members that are still unthemed
+async function acceptThemeCandidate(env, id, request, corsHeaders) {
+  const candidate = await env.DB.prepare(`SELECT * FROM theme_candidates WHERE id = ? AND status = 'open'`).bind(id).first();
+  if (!candidate) {
+    return new Response(JSON.stringify({ error: 'Open theme candidate not found' }), {
+      status: 404,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const { errors, value } = validateThemeInput({
+    slug: candidate.slug,
+    display_name: candidate.display_name,
+    description: candidate.description,
+    keywords: JSON.parse(candidate.keywords),
+    ...(body && typeof body === 'object' ? body : {}),
+  });
+  if (errors.length > 0) {
+    return new Response(JSON.stringify({ error: 'Invalid theme', details: errors }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const existing = await env.DB.prepare('SELECT slug FROM themes WHERE slug = ?').bind(value.slug).first();
+  if (existing) {
+    return new Response(JSON.stringify({ error: `Theme ${value.slug} already exists` }), {
+      status: 409,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+
+  const members = await env.DB.prepare(`
+    SELECT id, created_at FROM feedback
+    WHERE id IN (SELECT value FROM json_each(?)) AND theme IN (SELECT value FROM json_each(?)) AND human_verified = 0
+  `).bind(candidate.member_ids, JSON.stringify(UNTHEMED)).all();
+  const memberIds = JSON.stringify(members.results.map(row => row.id));
+
+  await env.DB.batch([
+    insertThemeStatement(env, value),
+    env.DB.prepare('UPDATE feedback SET theme = ? WHERE id IN (SELECT value FROM json_each(?))').bind(value.slug, memberIds),
+    env.DB.prepare(`
+      DELETE FROM feedback_themes
+      WHERE feedback_id IN (SELECT value FROM json_each(?)) AND theme IN (SELECT value FROM json_each(?))
+    `).bind(memberIds, JSON.stringify(UNTHEMED)),
+    env.DB.prepare(`
+      INSERT OR REPLACE INTO feedback_themes (feedback_id, theme, confidence, is_primary)
+      SELECT value, ?, 1, 1 FROM json_each(?)
+    `).bind(value.slug, memberIds),
+    env.DB.prepare(`
+      UPDATE theme_candidates SET status = 'accepted', slug = ?, updated_at = datetime('now') WHERE id = ?
+    `).bind(value.slug, id),
+  ]);
+
+  const dates = [...new Set(members.results.map(row => row.created_at.slice(0, 10)))];
+  if (dates.length > 0) {
+    await rollupDailyMetrics(env, dates);
+  }
+  await invalidateDashboardCache(env);
+
+  const theme = await env.DB.prepare('SELECT * FROM themes WHERE slug = ?').bind(value.slug).first();
+  return new Response(JSON.stringify({ theme: taxonomyResponse(theme), relabeled: members.results.length }), {
+    status: 201,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+// Dismiss an open candidate so discovery stops proposing it
+async function dismissThemeCandidate(env, id, corsHeaders) {
+  const result = await env.DB.prepare(`
+    UPDATE theme_candidates SET status = 'dismissed', updated_at = datetime('now') WHERE id = ? AND status = 'open'
+  `).bind(id).run();
+
+  if (result.meta.changes === 0) {
+    return new Response(JSON.stringify({ error: 'Open theme candidate not found' }), {
+      status: 404,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
+
+  return new Response(JSON.stringify({ id, status: 'dismissed' }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
 }
 
+
 // Serve the dashboard HTML
 function serveDashboard() {
   const html = `<!DOCTYPE html>
@@ -692,6 +3331,90 @@ function serveDashboard() {
     .sentiment-neutral { background: var(--neutral); color: white; }
     .sentiment-negative { background: var(--negative); color: white; }
 
+    .duplicate-badge {
+      padding: 0.2rem 0.5rem;
+      border: 1px solid var(--accent);
+      border-radius: 4px;
+      font-size: 0.7rem;
+      color: var(--accent);
+    }
+
+    .candidate-item {
+      padding: 0.75rem 1rem;
+      background: var(--bg-secondary);
+      border-radius: 8px;
+    }
+
+    .candidate-meta {
+      margin: 0.25rem 0 0.5rem;
+      font-size: 0.8rem;
+      color: var(--text-secondary);
+    }
+
+    .candidate-example {
+      font-size: 0.8rem;
+      color: var(--text-secondary);
+      border-left: 2px solid var(--border);
+      padding-left: 0.5rem;
+      margin-top: 0.25rem;
+    }
+
+    .candidate-actions {
+      display: flex;
+      gap: 0.5rem;
+      margin-top: 0.75rem;
+    }
+
+    .candidate-actions .btn {
+      padding: 0.4rem 1rem;
+      font-size: 0.8rem;
+    }
+
+    .verified-badge {
+      padding: 0.2rem 0.5rem;
+      border: 1px solid var(--positive);
+      border-radius: 4px;
+      font-size: 0.7rem;
+      color: var(--positive);
+    }
+
+    .rules-badge {
+      padding: 0.2rem 0.5rem;
+      border: 1px dashed var(--border);
+      border-radius: 4px;
+      font-size: 0.7rem;
+      color: var(--text-secondary);
+    }
+
+    .edit-labels-btn {
+      margin-left: 0.5rem;
+      padding: 0.1rem 0.4rem;
+      background: transparent;
+      border: 1px solid var(--border);
+      border-radius: 4px;
+      color: var(--text-secondary);
+      font-size: 0.75rem;
+      cursor: pointer;
+    }
+
+    .edit-labels-btn:hover {
+      border-color: var(--accent);
+      color: var(--text-primary);
+    }
+
+    .label-editor {
+      display: flex;
+      gap: 0.5rem;
+      align-items: center;
+      flex-wrap: wrap;
+      margin-top: 0.75rem;
+    }
+
+    .label-editor .btn {
+      padding: 0.4rem 1rem;
+      font-size: 0.8rem;
+    }
+
     .sentiment-bar {
       display: flex;
       height: 8px;
@@ -739,6 +3462,24 @@ function serveDashboard() {
       color: var(--text-secondary);
     }
 
+    .source-link {
+      font-size: 0.75rem;
+      color: var(--accent);
+      text-decoration: none;
+    }
+
+    .source-link:hover {
+      text-decoration: underline;
+    }
+
+    .priority-badge {
+      padding: 0.2rem 0.5rem;
+      border: 1px solid var(--border);
+      border-radius: 4px;
+      font-size: 0.7rem;
+      color: var(--text-secondary);
+    }
+
     .feedback-content {
       color: var(--text-secondary);
       font-size: 0.9rem;
@@ -767,6 +3508,69 @@ function serveDashboard() {
       border-color: var(--accent);
     }
 
+    .filter-search {
+      flex: 1;
+      min-width: 220px;
+      padding: 0.5rem 1rem;
+      background: var(--bg-card);
+      border: 1px solid var(--border);
+      border-radius: 8px;
+      color: var(--text-primary);
+      font-size: 0.9rem;
+    }
+
+    .filter-search:focus {
+      outline: none;
+      border-color: var(--accent);
+    }
+
+    .feedback-item mark {
+      background: rgba(246, 130, 31, 0.35);
+      color: var(--text-primary);
+      border-radius: 2px;
+      padding: 0 0.1rem;
+    }
+
+    .date-range {
+      display: flex;
+      gap: 0.75rem;
+      align-items: center;
+      flex-wrap: wrap;
+      margin-bottom: 1.5rem;
+    }
+
+    .date-range label {
+      font-size: 0.8rem;
+      color: var(--text-secondary);
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+
+    .range-control {
+      padding: 0.5rem 1rem;
+      background: var(--bg-card);
+      border: 1px solid var(--border);
+      border-radius: 8px;
+      color: var(--text-primary);
+      font-size: 0.9rem;
+      color-scheme: dark;
+    }
+
+    .range-control:focus {
+      outline: none;
+      border-color: var(--accent);
+    }
+
+    .range-control[hidden] {
+      display: none;
+    }
+
+    .pager {
+      display: flex;
+      justify-content: center;
+      margin-top: 1rem;
+    }
+
     .chart-container {
       height: 250px;
       position: relative;
@@ -902,6 +3706,20 @@ function serveDashboard() {
       display: block;
     }
 
+    .result-notice {
+      margin-bottom: 1rem;
+      padding: 0.5rem 0.75rem;
+      border-radius: 6px;
+      font-size: 0.85rem;
+      background: var(--bg-card);
+      color: var(--text-secondary);
+    }
+
+    .result-notice.fallback {
+      border-left: 3px solid var(--high);
+      color: var(--text-primary);
+    }
+
     .result-grid {
       display: grid;
       grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
@@ -923,6 +3741,11 @@ function serveDashboard() {
       font-weight: 600;
     }
 
+    /* Same colors as the value pie chart */
+    .result-value.value-high { color: #8b5cf6; }
+    .result-value.value-medium { color: #3b82f6; }
+    .result-value.value-low { color: #6b7280; }
+
     .modal-overlay {
       position: fixed;
       top: 0;
@@ -1084,6 +3907,27 @@ function serveDashboard() {
       </div>
     </header>
 
+    <!-- Date Range Picker -->
+    <div class="date-range">
+      <label for="range-preset">Date range</label>
+      <select class="range-control" id="range-preset">
+        <option value="all">All time</option>
+        <option value="7">Last 7 days</option>
+        <option value="14">This sprint (14 days)</option>
+        <option value="30">Last 30 days</option>
+        <option value="90">Last quarter (90 days)</option>
+        <option value="custom">Custom range</option>
+      </select>
+      <input type="date" class="range-control" id="range-from" hidden>
+      <input type="date" class="range-control" id="range-to" hidden>
+      <label for="range-granularity">Group by</label>
+      <select class="range-control" id="range-granularity">
+        <option value="day">Day</option>
+        <option value="week">Week</option>
+        <option value="month">Month</option>
+      </select>
+    </div>
+
     <!-- Stats Overview -->
     <div class="stats-grid" id="stats-grid">
       <div class="loading"><div class="spinner"></div>Loading stats...</div>
@@ -1133,7 +3977,7 @@ function serveDashboard() {
       <!-- Sentiment Trend Chart -->
       <div class="card">
         <div class="card-header">
-          <h2 class="card-title">📈 Sentiment Trend (Last 14 Days)</h2>
+          <h2 class="card-title" id="trend-title">📈 Sentiment Trend (Last 14 Days)</h2>
         </div>
         <div class="chart-container">
           <canvas id="sentimentChart"></canvas>
@@ -1151,8 +3995,18 @@ function serveDashboard() {
       </div>
     </div>
 
+    <!-- Emerging Themes (hidden while there are no open candidates) -->
+    <div class="card" id="candidates-card" hidden>
+      <div class="card-header">
+        <h2 class="card-title">🌱 Emerging Themes</h2>
+        <span class="theme-count" id="candidates-count"></span>
+      </div>
+      <div class="themes-list" id="candidates-list"></div>
+    </div>
+
     <!-- Filters -->
     <div class="filters">
+      <input type="search" class="filter-search" id="filter-search" placeholder="🔎 Search feedback (e.g. cold start, &quot;R2 lifecycle&quot;)">
       <select class="filter-select" id="filter-sentiment">
         <option value="all">All Sentiment</option>
         <option value="positive">😊 Positive</option>
@@ -1161,12 +4015,6 @@ function serveDashboard() {
       </select>
       <select class="filter-select" id="filter-theme">
         <option value="all">All Themes</option>
-        <option value="performance">⚡ Performance</option>
-        <option value="pricing">💰 Pricing</option>
-        <option value="documentation">📚 Documentation</option>
-        <option value="developer-experience">🛠️ Developer Experience</option>
-        <option value="reliability">🔒 Reliability</option>
-        <option value="feature-request">✨ Feature Request</option>
       </select>
       <select class="filter-select" id="filter-urgency">
         <option value="all">All Urgency</option>
@@ -1182,6 +4030,20 @@ function serveDashboard() {
         <option value="discord">💬 Discord</option>
         <option value="twitter">🐦 Twitter</option>
         <option value="forum">📝 Forum</option>
+        <option value="email">📧 Email</option>
+        <option value="slack">💼 Slack</option>
+      </select>
+      <select class="filter-select" id="filter-group">
+        <option value="1">🔁 One per issue</option>
+        <option value="0">All reports</option>
+      </select>
+      <select class="filter-select" id="filter-sort">
+        <option value="relevance:desc" disabled>🔎 Best match</option>
+        <option value="created_at:desc">🕒 Newest first</option>
+        <option value="created_at:asc">🕒 Oldest first</option>
+        <option value="urgency:desc">🚨 Most urgent</option>
+        <option value="sentiment_score:asc">😞 Most negative</option>
+        <option value="sentiment_score:desc">😊 Most positive</option>
       </select>
     </div>
 
@@ -1189,10 +4051,14 @@ function serveDashboard() {
     <div class="card">
       <div class="card-header">
         <h2 class="card-title">📝 Recent Feedback</h2>
+        <span class="theme-count" id="feedback-count"></span>
       </div>
       <div class="feedback-list" id="feedback-list">
         <div class="loading"><div class="spinner"></div>Loading feedback...</div>
       </div>
+      <div class="pager">
+        <button class="btn" id="load-more-btn" onclick="loadMoreFeedback()" hidden>Load more</button>
+      </div>
     </div>
 
     <!-- AI Analysis Demo -->
@@ -1206,6 +4072,7 @@ function serveDashboard() {
       <textarea class="ai-input" id="ai-input" placeholder="Example: We've been waiting 3 weeks for a fix to the cold start issue. This is blocking our production deployment and costing us customers. Please prioritize this ASAP!"></textarea>
       <button class="btn" id="analyze-btn" onclick="analyzeWithAI()">Analyze with AI</button>
       <div class="ai-result" id="ai-result">
+        <div class="result-notice" id="result-notice" hidden></div>
         <div class="result-grid">
           <div class="result-item">
             <div class="result-label">Sentiment</div>
@@ -1223,6 +4090,14 @@ function serveDashboard() {
             <div class="result-label">Urgency</div>
             <div class="result-value" id="result-urgency">-</div>
           </div>
+          <div class="result-item">
+            <div class="result-label">Value</div>
+            <div class="result-value" id="result-value">-</div>
+          </div>
+        </div>
+        <div style="margin-top: 1rem;">
+          <div class="result-label">Why this value</div>
+          <div id="result-value-rationale" style="color: var(--text-secondary); font-size: 0.9rem;"></div>
         </div>
         <div style="margin-top: 1rem;">
           <div class="result-label">Summary</div>
@@ -1252,6 +4127,17 @@ function serveDashboard() {
     let valuePieChart = null;
     let themePieChart = null;
     let modalTrendChart = null;
+    let feedbackCursor = null;
+    let searchTimer = null;
+    let taxonomy = {};
+    const feedbackById = new Map();
+
+    const FEEDBACK_PAGE_SIZE = 20;
+    const LABEL_OPTIONS = {
+      sentiment: ['positive', 'neutral', 'negative'],
+      urgency: ['low', 'medium', 'high', 'critical'],
+      value_score: ['low', 'medium', 'high']
+    };
 
     // Chart.js default settings
     Chart.defaults.color = '#8888a0';
@@ -1259,9 +4145,11 @@ function serveDashboard() {
 
     // Initialize dashboard
     async function init() {
+      await loadTaxonomy();
       await Promise.all([
         loadStats(),
         loadThemes(),
+        loadThemeCandidates(),
         loadFeedback(),
         loadSentimentTrend(),
         loadDistributions()
@@ -1271,12 +4159,75 @@ function serveDashboard() {
       document.querySelectorAll('.filter-select').forEach(select => {
         select.addEventListener('change', loadFeedback);
       });
+      document.getElementById('filter-search').addEventListener('input', onSearchInput);
+
+      // Set up date range listeners
+      document.querySelectorAll('.range-control').forEach(control => {
+        control.addEventListener('change', onRangeChange);
+      });
+    }
+
+    // Load the theme taxonomy (names and icons) and fill the theme filter
+    async function loadTaxonomy() {
+      try {
+        const res = await fetch('/api/taxonomy');
+        const themes = await res.json();
+        taxonomy = Object.fromEntries(themes.map(theme => [theme.slug, theme]));
+
+        const select = document.getElementById('filter-theme');
+        select.innerHTML = '<option value="all">All Themes</option>' + themes
+          .map(theme => \`<option value="\${escapeHtml(theme.slug)}">\${escapeHtml(getThemeIcon(theme.slug))} \${escapeHtml(formatThemeName(theme.slug))}</option>\`)
+          .join('');
+      } catch (error) {
+        console.error('Error loading taxonomy:', error);
+      }
+    }
+
+    // Reload the analytics panels when the date range changes
+    function onRangeChange() {
+      const custom = document.getElementById('range-preset').value === 'custom';
+      document.getElementById('range-from').hidden = !custom;
+      document.getElementById('range-to').hidden = !custom;
+
+      return Promise.all([
+        loadStats(),
+        loadThemes(),
+        loadSentimentTrend(),
+        loadDistributions()
+      ]);
+    }
+
+    // Build the from/to/granularity query for the selected date range
+    function getRangeParams() {
+      const preset = document.getElementById('range-preset').value;
+      const params = new URLSearchParams();
+      params.set('granularity', document.getElementById('range-granularity').value);
+
+      if (preset === 'custom') {
+        const from = document.getElementById('range-from').value;
+        const to = document.getElementById('range-to').value;
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+      } else if (preset !== 'all') {
+        const from = new Date();
+        from.setDate(from.getDate() - Number(preset) + 1);
+        params.set('from', toDateParam(from));
+        params.set('to', toDateParam(new Date()));
+      }
+      return params;
+    }
+
+    // Format a Date as a local YYYY-MM-DD query value
+    function toDateParam(date) {
+      const month = String(date.getMonth() + 1).padStart(2, '0');
+      const day = String(date.getDate()).padStart(2, '0');
+      return \`\${date.getFullYear()}-\${month}-\${day}\`;
     }
 
     // Load distribution data for pie charts
     async function loadDistributions() {
       try {
-        const res = await fetch('/api/distributions');
+        const res = await fetch(\`/api/distributions?\${getRangeParams()}\`);
         const data = await res.json();
         
         renderSentimentPie(data.sentiment);
@@ -1430,7 +4381,7 @@ function serveDashboard() {
     // Load overview statistics
     async function loadStats() {
       try {
-        const res = await fetch('/api/overview');
+        const res = await fetch(\`/api/overview?\${getRangeParams()}\`);
         const data = await res.json();
         
         const statsHtml = \`
@@ -1438,6 +4389,10 @@ function serveDashboard() {
             <div class="stat-label">Total Feedback</div>
             <div class="stat-value">\${data.stats.total_feedback || 0}</div>
           </div>
+          <div class="stat-card">
+            <div class="stat-label">🔁 Distinct Issues</div>
+            <div class="stat-value">\${data.stats.distinct_issues || 0}</div>
+          </div>
           <div class="stat-card">
             <div class="stat-label">😊 Positive</div>
             <div class="stat-value positive">\${data.stats.positive || 0}</div>
@@ -1474,9 +4429,9 @@ function serveDashboard() {
       document.getElementById('top-theme-section').innerHTML = \`
         <div class="top-theme-card">
           <div class="top-theme-header">
-            <div class="top-theme-icon">\${getThemeIcon(topTheme.theme)}</div>
+            <div class="top-theme-icon">\${escapeHtml(getThemeIcon(topTheme.theme))}</div>
             <div>
-              <div class="top-theme-title">Top Theme: \${formatThemeName(topTheme.theme)}</div>
+              <div class="top-theme-title">Top Theme: \${escapeHtml(formatThemeName(topTheme.theme))}</div>
               <div class="top-theme-subtitle">Most discussed topic across all feedback channels</div>
             </div>
           </div>
@@ -1509,7 +4464,7 @@ function serveDashboard() {
     // Load themes list
     async function loadThemes() {
       try {
-        const res = await fetch('/api/themes');
+        const res = await fetch(\`/api/themes?\${getRangeParams()}\`);
         const themes = await res.json();
         
         if (themes.length === 0) {
@@ -1527,7 +4482,7 @@ function serveDashboard() {
             <div class="theme-item" onclick="openThemeModal('\${theme.theme}')">
               <div>
                 <div class="theme-name">
-                  \${getThemeIcon(theme.theme)} \${formatThemeName(theme.theme)}
+                  \${escapeHtml(getThemeIcon(theme.theme))} \${escapeHtml(formatThemeName(theme.theme))}
                   \${theme.critical > 0 ? '<span class="urgency-badge urgency-critical">critical</span>' : ''}
                   \${theme.high > 0 && theme.critical === 0 ? '<span class="urgency-badge urgency-high">high</span>' : ''}
                 </div>
@@ -1537,7 +4492,7 @@ function serveDashboard() {
                   <div class="negative" style="width: \${negWidth}%"></div>
                 </div>
               </div>
-              <span class="theme-count">\${theme.total}</span>
+              <span class="theme-count" title="\${theme.total} reports, \${theme.distinct_issues} distinct issues">\${theme.distinct_issues < theme.total ? \`\${theme.distinct_issues} issues · \${theme.total} reports\` : theme.total}</span>
             </div>
           \`;
         }).join('');
@@ -1549,51 +4504,258 @@ function serveDashboard() {
       }
     }
 
-    // Load feedback list with filters
+    // Load open emerging-theme candidates; the card stays hidden when there are none
+    async function loadThemeCandidates() {
+      const card = document.getElementById('candidates-card');
+      try {
+        const res = await fetch('/api/themes/candidates');
+        const candidates = await res.json();
+        card.hidden = candidates.length === 0;
+        document.getElementById('candidates-count').textContent = candidates.length ? \`\${candidates.length} open\` : '';
+
+        document.getElementById('candidates-list').innerHTML = candidates.map(candidate => \`
+          <div class="candidate-item">
+            <div class="theme-name">🌱 \${escapeHtml(candidate.display_name)} <span class="theme-count">\${candidate.size} items</span></div>
+            <div class="candidate-meta">
+              \${candidate.description ? escapeHtml(candidate.description) + ' · ' : ''}\${escapeHtml(candidate.keywords.join(', '))}
+            </div>
+            \${candidate.examples.map(example => \`
+              <div class="candidate-example">\${escapeHtml(example.title || example.content)}</div>
+            \`).join('')}
+            <div class="candidate-actions">
+              <button class="btn" onclick="resolveThemeCandidate(\${candidate.id}, 'accept')">Accept as theme</button>
+              <button class="btn" onclick="resolveThemeCandidate(\${candidate.id}, 'dismiss')">Dismiss</button>
+            </div>
+          </div>
+        \`).join('');
+      } catch (error) {
+        console.error('Error loading theme candidates:', error);
+        card.hidden = true;
+      }
+    }
+
+    // Accept or dismiss a candidate, then refresh everything its labels feed into
+    async function resolveThemeCandidate(id, action) {
+      try {
+        const res = await fetch(\`/api/themes/candidates/\${id}/\${action}\`, { method: 'POST' });
+        if (!res.ok) {
+          const body = await res.json().catch(() => ({}));
+          alert(body.error || \`Could not \${action} theme candidate\`);
+        }
+      } catch (error) {
+        console.error(\`Error trying to \${action} theme candidate:\`, error);
+      }
+
+      await loadTaxonomy();
+      await Promise.all([
+        loadThemeCandidates(),
+        loadStats(),
+        loadThemes(),
+        loadFeedback(),
+        loadSentimentTrend(),
+        loadDistributions()
+      ]);
+    }
+
+    // Load the first page of the feedback list with the current filters
     async function loadFeedback() {
+      feedbackCursor = null;
+      await fetchFeedbackPage(false);
+    }
+
+    // Debounce search typing; switch to relevance order while searching
+    function onSearchInput() {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        const searching = document.getElementById('filter-search').value.trim() !== '';
+        const sortSelect = document.getElementById('filter-sort');
+        const relevance = sortSelect.querySelector('option[value="relevance:desc"]');
+
+        relevance.disabled = !searching;
+        if (searching && sortSelect.value === 'created_at:desc') {
+          sortSelect.value = 'relevance:desc';
+        } else if (!searching && sortSelect.value === 'relevance:desc') {
+          sortSelect.value = 'created_at:desc';
+        }
+        loadFeedback();
+      }, 300);
+    }
+
+    // Append the next page of feedback below the current items
+    async function loadMoreFeedback() {
+      await fetchFeedbackPage(true);
+    }
+
+    async function fetchFeedbackPage(append) {
       const sentiment = document.getElementById('filter-sentiment').value;
       const theme = document.getElementById('filter-theme').value;
       const urgency = document.getElementById('filter-urgency').value;
       const channel = document.getElementById('filter-channel').value;
+      const group = document.getElementById('filter-group').value;
+      const [sort, order] = document.getElementById('filter-sort').value.split(':');
+      const list = document.getElementById('feedback-list');
+      const loadMoreBtn = document.getElementById('load-more-btn');
       
-      const params = new URLSearchParams({ sentiment, theme, urgency, channel });
+      const q = document.getElementById('filter-search').value.trim();
+      const params = new URLSearchParams({ sentiment, theme, urgency, channel, group, sort, order, limit: FEEDBACK_PAGE_SIZE });
+      if (q) params.set('q', q);
+      if (append && feedbackCursor) params.set('cursor', feedbackCursor);
       
+      loadMoreBtn.disabled = true;
       try {
         const res = await fetch(\`/api/feedback?\${params}\`);
-        const feedback = await res.json();
+        const page = await res.json();
         
-        if (feedback.length === 0) {
-          document.getElementById('feedback-list').innerHTML = '<p style="color: var(--text-secondary);">No feedback matches these filters</p>';
+        feedbackCursor = page.next_cursor;
+        loadMoreBtn.hidden = !page.next_cursor;
+
+        if (!append && page.items.length === 0) {
+          list.innerHTML = '<p style="color: var(--text-secondary);">No feedback matches these filters</p>';
+          document.getElementById('feedback-count').textContent = '0 items';
           return;
         }
 
-        const feedbackHtml = feedback.slice(0, 20).map(item => \`
-          <div class="feedback-item">
+        const feedbackHtml = page.items.map(renderFeedbackItem).join('');
+        if (append) {
+          list.insertAdjacentHTML('beforeend', feedbackHtml);
+        } else {
+          list.innerHTML = feedbackHtml;
+        }
+        document.getElementById('feedback-count').textContent =
+          \`Showing \${list.querySelectorAll('.feedback-item').length} of \${page.total}\`;
+      } catch (error) {
+        console.error('Error loading feedback:', error);
+        list.innerHTML = '<p>Error loading feedback</p>';
+      } finally {
+        loadMoreBtn.disabled = false;
+      }
+    }
+
+    function renderFeedbackItem(item) {
+      feedbackById.set(item.id, item);
+      return \`
+          <div class="feedback-item" data-id="\${item.id}">
             <div class="feedback-header">
               <div class="feedback-meta">
                 <span class="channel-badge">\${item.channel}</span>
+                \${renderSourceLink(item)}
+                \${renderTicketDetails(item)}
                 <span class="urgency-badge urgency-\${item.urgency}">\${item.urgency}</span>
                 <span class="sentiment-badge sentiment-\${item.sentiment}">\${item.sentiment}</span>
+                \${renderDuplicateBadge(item)}
+                \${item.human_verified ? '<span class="verified-badge" title="Labels checked by a person">✅ Verified</span>' : ''}
+                \${item.analysis_source === 'rules' ? '<span class="rules-badge" title="Labeled by the built-in rules, not the AI model">📏 Rule-based</span>' : ''}
               </div>
-              <span style="color: var(--text-secondary); font-size: 0.8rem;">\${formatDate(item.created_at)}</span>
+              <span style="color: var(--text-secondary); font-size: 0.8rem;">
+                \${formatDate(item.created_at)}
+                <button class="edit-labels-btn" onclick="toggleLabelEditor(this)" title="Correct the labels">✏️ Edit</button>
+              </span>
             </div>
-            \${item.title ? \`<div style="font-weight: 500; margin-bottom: 0.5rem;">\${escapeHtml(item.title)}</div>\` : ''}
-            <div class="feedback-content">\${escapeHtml(item.content)}</div>
+            \${item.title ? \`<div style="font-weight: 500; margin-bottom: 0.5rem;">\${item.title_html || escapeHtml(item.title)}</div>\` : ''}
+            <div class="feedback-content">\${item.snippet_html || escapeHtml(item.content)}</div>
           </div>
-        \`).join('');
-        
-        document.getElementById('feedback-list').innerHTML = feedbackHtml;
+        \`;
+    }
+
+    // Show or hide the inline label editor under a feedback item
+    function toggleLabelEditor(button) {
+      const element = button.closest('.feedback-item');
+      const open = element.querySelector('.label-editor');
+      if (open) {
+        open.remove();
+        return;
+      }
+
+      const item = feedbackById.get(Number(element.dataset.id));
+      const select = (field, values, format) => \`
+        <select class="filter-select" data-field="\${field}">
+          \${values.map(value => \`<option value="\${escapeHtml(value)}" \${value === item[field] ? 'selected' : ''}>\${escapeHtml(format(value))}</option>\`).join('')}
+        </select>\`;
+
+      element.insertAdjacentHTML('beforeend', \`
+        <div class="label-editor">
+          \${select('sentiment', LABEL_OPTIONS.sentiment, value => value)}
+          \${select('theme', Object.keys(taxonomy), value => \`\${getThemeIcon(value)} \${formatThemeName(value)}\`)}
+          \${select('urgency', LABEL_OPTIONS.urgency, value => value)}
+          \${select('value_score', LABEL_OPTIONS.value_score, value => \`\${value} value\`)}
+          <button class="btn" onclick="saveLabels(this)">Save</button>
+          <button class="btn" onclick="this.closest('.label-editor').remove()">Cancel</button>
+        </div>
+      \`);
+    }
+
+    // Send the edited labels, redraw the item and refresh the panels they feed
+    async function saveLabels(button) {
+      const element = button.closest('.feedback-item');
+      const id = Number(element.dataset.id);
+      const body = {};
+      element.querySelectorAll('.label-editor select').forEach(select => {
+        body[select.dataset.field] = select.value;
+      });
+
+      button.disabled = true;
+      try {
+        const res = await fetch(\`/api/feedback/\${id}\`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const result = await res.json();
+        if (!res.ok) {
+          alert(result.details ? result.details.join('\\n') : result.error || 'Could not save labels');
+          button.disabled = false;
+          return;
+        }
+
+        element.outerHTML = renderFeedbackItem({ ...feedbackById.get(id), ...result.feedback });
       } catch (error) {
-        console.error('Error loading feedback:', error);
-        document.getElementById('feedback-list').innerHTML = '<p>Error loading feedback</p>';
+        console.error('Error saving labels:', error);
+        button.disabled = false;
+        return;
       }
+
+      await Promise.all([
+        loadStats(),
+        loadThemes(),
+        loadSentimentTrend(),
+        loadDistributions()
+      ]);
+    }
+
+    // "Reported N times across M channels" for grouped near-duplicates
+    function renderDuplicateBadge(item) {
+      if (!item.report_count || item.report_count < 2) return '';
+      const channels = item.channel_count === 1 ? '1 channel' : \`\${item.channel_count} channels\`;
+      return \`<span class="duplicate-badge">🔁 Reported \${item.report_count} times across \${channels}</span>\`;
+    }
+
+    // Requester organization and ticket priority of helpdesk items
+    function renderTicketDetails(item) {
+      return [
+        item.organization ? \`<span class="channel-badge" title="Requester organization">🏢 \${escapeHtml(item.organization)}</span>\` : '',
+        item.external_priority ? \`<span class="priority-badge" title="Ticket priority">⚑ \${escapeHtml(item.external_priority)}</span>\` : '',
+      ].join('');
+    }
+
+    // Link back to a connector item, with its state there when it is no
+    // longer open
+    function renderSourceLink(item) {
+      if (!item.source_url || !/^https?:\\/\\//.test(item.source_url)) return '';
+      const status = item.external_status && item.external_status !== 'open' ? \` (\${escapeHtml(item.external_status)})\` : '';
+      return \`<a class="source-link" href="\${escapeHtml(item.source_url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">↗ View source\${status}</a>\`;
     }
 
     // Load sentiment trend for chart
     async function loadSentimentTrend() {
       try {
-        const res = await fetch('/api/sentiment-trend');
+        const rangeParams = getRangeParams();
+        const res = await fetch(\`/api/sentiment-trend?\${rangeParams}\`);
         const trend = await res.json();
+        const granularity = rangeParams.get('granularity');
+
+        document.getElementById('trend-title').textContent = rangeParams.has('from') || rangeParams.has('to')
+          ? \`📈 Sentiment Trend (by \${granularity})\`
+          : \`📈 Sentiment Trend (Last 14 \${granularity.charAt(0).toUpperCase() + granularity.slice(1)}s)\`;
         
         const ctx = document.getElementById('sentimentChart').getContext('2d');
         
@@ -1621,7 +4783,7 @@ function serveDashboard() {
         sentimentChart = new Chart(ctx, {
           type: 'line',
           data: {
-            labels: processedData.map(d => formatDate(d.date)),
+            labels: processedData.map(d => formatBucket(d.date, granularity)),
             datasets: [
               {
                 label: '% Positive',
@@ -1741,10 +4903,16 @@ function serveDashboard() {
         document.getElementById('result-sentiment').textContent = result.sentiment || 'N/A';
         document.getElementById('result-sentiment').style.color = getSentimentColor(result.sentiment);
         document.getElementById('result-score').textContent = result.sentiment_score?.toFixed(2) || 'N/A';
-        document.getElementById('result-theme').textContent = formatThemeName(result.theme || 'N/A');
+        const secondaryThemes = (result.themes || []).slice(1).map(label => formatThemeName(label.theme));
+        document.getElementById('result-theme').textContent = formatThemeName(result.theme || 'N/A') +
+          (secondaryThemes.length ? \` (+ \${secondaryThemes.join(', ')})\` : '');
         document.getElementById('result-urgency').textContent = result.urgency || 'N/A';
         document.getElementById('result-urgency').className = \`result-value urgency-\${result.urgency}\`;
+        document.getElementById('result-value').textContent = result.value_score || 'N/A';
+        document.getElementById('result-value').className = \`result-value value-\${result.value_score}\`;
+        document.getElementById('result-value-rationale').textContent = result.value_rationale || 'No rationale available';
         document.getElementById('result-summary').textContent = result.summary || 'No summary available';
+        renderAnalysisNotice(result);
         
         resultDiv.classList.add('show');
       } catch (error) {
@@ -1756,6 +4924,21 @@ function serveDashboard() {
       }
     }
 
+    // Flag results that are rule-based or needed a repair round, so they
+    // are not mistaken for a clean model answer
+    function renderAnalysisNotice(result) {
+      const notice = document.getElementById('result-notice');
+      notice.className = \`result-notice \${result.status || ''}\`;
+      if (result.status === 'fallback') {
+        notice.textContent = \`⚠️ Rule-based labels shown - \${result.reason}\`;
+      } else if (result.source === 'rules') {
+        notice.textContent = '📏 Labeled by the built-in rules (AI disabled or unavailable)';
+      } else if (result.status === 'repaired') {
+        notice.textContent = '🔧 The model needed a second attempt to return valid JSON';
+      }
+      notice.hidden = result.source !== 'rules' && result.status !== 'repaired';
+    }
+
     // Open theme detail modal with sentiment trend and AI summary
     async function openThemeModal(theme) {
       const overlay = document.getElementById('modal-overlay');
@@ -1767,7 +4950,9 @@ function serveDashboard() {
       overlay.classList.add('show');
       
       try {
-        const res = await fetch(\`/api/theme-detail?theme=\${theme}\`);
+        const rangeParams = getRangeParams();
+        rangeParams.set('theme', theme);
+        const res = await fetch(\`/api/theme-detail?\${rangeParams}\`);
         const data = await res.json();
         
         content.innerHTML = \`
@@ -1793,7 +4978,7 @@ function serveDashboard() {
 
           <!-- Sentiment Trend for this Theme -->
           <div class="modal-section">
-            <h3 class="section-title">📈 Sentiment Trend for \${formatThemeName(theme)}</h3>
+            <h3 class="section-title">📈 Sentiment Trend for \${escapeHtml(formatThemeName(theme))}</h3>
             <div class="trend-chart-modal">
               <canvas id="modalTrendChart"></canvas>
             </div>
@@ -1832,26 +5017,13 @@ function serveDashboard() {
           <div class="modal-section">
             <h3 class="section-title">📝 Sample Feedback</h3>
             <div class="feedback-list">
-              \${data.samples.slice(0, 5).map(item => \`
-                <div class="feedback-item">
-                  <div class="feedback-header">
-                    <div class="feedback-meta">
-                      <span class="channel-badge">\${item.channel}</span>
-                      <span class="urgency-badge urgency-\${item.urgency}">\${item.urgency}</span>
-                      <span class="sentiment-badge sentiment-\${item.sentiment}">\${item.sentiment}</span>
-                    </div>
-                    <span style="color: var(--text-secondary); font-size: 0.8rem;">\${formatDate(item.created_at)}</span>
-                  </div>
-                  \${item.title ? \`<div style="font-weight: 500; margin-bottom: 0.5rem;">\${escapeHtml(item.title)}</div>\` : ''}
-                  <div class="feedback-content">\${escapeHtml(item.content)}</div>
-                </div>
-              \`).join('')}
+              \${data.samples.slice(0, 5).map(renderFeedbackItem).join('')}
             </div>
           </div>
         \`;
 
         // Render the sentiment trend chart for this theme
-        renderModalTrendChart(data.trend, theme);
+        renderModalTrendChart(data.trend, theme, rangeParams.get('granularity'));
 
         // Generate AI summary
         generateAISummary(data.recentFeedbackTexts, theme);
@@ -1861,7 +5033,7 @@ function serveDashboard() {
       }
     }
 
-    function renderModalTrendChart(trend, theme) {
+    function renderModalTrendChart(trend, theme, granularity) {
       const ctx = document.getElementById('modalTrendChart').getContext('2d');
       if (modalTrendChart) modalTrendChart.destroy();
 
@@ -1884,7 +5056,7 @@ function serveDashboard() {
       modalTrendChart = new Chart(ctx, {
         type: 'line',
         data: {
-          labels: processedData.map(d => formatDate(d.date)),
+          labels: processedData.map(d => formatBucket(d.date, granularity)),
           datasets: [
             {
               label: '% Positive',
@@ -2001,20 +5173,12 @@ function serveDashboard() {
 
     // Utility functions
     function formatThemeName(theme) {
+      if (taxonomy[theme]) return taxonomy[theme].display_name;
       return theme.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
     }
 
     function getThemeIcon(theme) {
-      const icons = {
-        'performance': '⚡',
-        'pricing': '💰',
-        'documentation': '📚',
-        'developer-experience': '🛠️',
-        'reliability': '🔒',
-        'feature-request': '✨',
-        'other': '📋'
-      };
-      return icons[theme] || '📋';
+      return (taxonomy[theme] && taxonomy[theme].icon) || '📋';
     }
 
     function getSentimentColor(sentiment) {
@@ -2031,6 +5195,17 @@ function serveDashboard() {
       return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
     }
 
+    // Label a trend bucket start date for the selected granularity
+    function formatBucket(dateStr, granularity) {
+      if (granularity === 'month') {
+        return new Date(dateStr).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+      }
+      if (granularity === 'week') {
+        return 'Wk of ' + formatDate(dateStr);
+      }
+      return formatDate(dateStr);
+    }
+
     function escapeHtml(text) {
       const div = document.createElement('div');
       div.textContent = text;
@@ -0,0 +1,98 @@
+/**
+ * Prompt and model registry - every prompt the Worker sends to the AI
+ * provider, with the Workers AI model it runs on and a version. Other
+ * providers (src/providers.js) run every prompt on their configured model.
+ *
+ * Bump a prompt's version whenever its text, its response contract or its
+ * model changes. Analyzed rows are stamped with the analysis prompt's model
+ * and version, and POST /api/reanalyze queues rows from older versions.
+ */
+
+// Workers AI text generation models
+export const MODELS = {
+  llama3_8b: '@cf/meta/llama-3-8b-instruct',
+};
+
+export const PROMPTS = {
+  // Sentiment, themes, urgency and value of one feedback item
+  analysis: {
+    version: 2,
+    model: MODELS.llama3_8b,
+    // Room for three themes, the rationale and the summary: a cut-off
+    // response is invalid JSON and costs a repair round
+    maxTokens: 512,
+    system: 'You are a product feedback analyzer. Always respond with valid JSON only.',
+    user({ content, taxonomy, maxThemes }) {
+      const themeList = taxonomy
+        .map(theme => `- ${theme.slug}${theme.description ? `: ${theme.description}` : ''}`)
+        .join('\n');
+
+      return `Analyze this product feedback and respond in JSON format only:
+
+Feedback: "${content}"
+
+Themes:
+${themeList}
+
+Respond with exactly this JSON structure (no other text):
+{
+  "sentiment": "positive" or "neutral" or "negative",
+  "sentiment_score": number from -1.0 to 1.0,
+  "theme": the primary theme, one of ${JSON.stringify(taxonomy.map(theme => theme.slug))},
+  "themes": every theme that applies (up to ${maxThemes}, same values as theme) with a confidence from 0.0 to 1.0, e.g. [{"theme": "...", "confidence": 0.9}],
+  "urgency": "low" or "medium" or "high" or "critical",
+  "value_score": "low" or "medium" or "high" (how much acting on this feedback would benefit the product and its users),
+  "value_rationale": "one short sentence explaining the value_score",
+  "summary": "one sentence summary of the feedback"
+}`;
+    },
+    // Follow-up sent when a response breaks the contract
+    repair(reason) {
+      return `That response is invalid: ${reason}. Reply with only the corrected JSON object.`;
+    },
+  },
+
+  // Short actionable summary of a theme's recent feedback
+  summary: {
+    version: 1,
+    model: MODELS.llama3_8b,
+    maxTokens: 300,
+    system: 'You are a helpful product management assistant that summarizes customer feedback concisely and actionably.',
+    user({ theme, feedbackTexts }) {
+      return `You are a product manager analyzing customer feedback about "${theme}".
+
+Here are the most recent feedback items:
+
+${feedbackTexts.join('\n---\n')}
+
+Please provide a concise 2-3 sentence summary that:
+1. Identifies the main pain points or requests
+2. Notes any patterns or common themes
+3. Suggests what action might be needed
+
+Keep it actionable and professional.`;
+    },
+  },
+
+  // Name for a cluster of feedback that fits no existing theme
+  themeNaming: {
+    version: 1,
+    model: MODELS.llama3_8b,
+    maxTokens: 150,
+    system: 'You are a product feedback analyst. Always respond with valid JSON only.',
+    user({ texts, themeSlugs }) {
+      return `These product feedback items did not fit any existing theme (${themeSlugs.join(', ')}).
+Suggest one new theme that covers them.
+
+Feedback:
+${texts.map(text => `- ${text}`).join('\n')}
+
+Respond with exactly this JSON structure (no other text):
+{
+  "slug": "short-lowercase-hyphenated-name",
+  "display_name": "Short Name",
+  "description": "one sentence describing what belongs in this theme"
+}`;
+    },
+  },
+};
@@ -0,0 +1,141 @@
+/**
+ * AI providers - where the Worker's text generation runs.
+ *
+ * AI_PROVIDER picks one:
+ * - "workers-ai" (default): the AI binding, with the models from src/prompts.js
+ * - "openai": an OpenAI-compatible chat completions endpoint, e.g. a
+ *   self-hosted local model. Needs OPENAI_BASE_URL and OPENAI_MODEL;
+ *   OPENAI_API_KEY is sent as a bearer token when set.
+ * - "fixture": canned responses, deterministic for tests and offline
+ *   development. AI_FIXTURES (a JSON object keyed by prompt name) overrides them.
+ *
+ * A provider has a name and generate(task, messages), where task is a
+ * PROMPTS key. It resolves to the response text and the model that wrote it.
+ */
+
+import { PROMPTS } from './prompts.js';
+
+export const PROVIDER_NAMES = ['workers-ai', 'openai', 'fixture'];
+export const FIXTURE_MODEL = 'fixture';
+
+// Default fixture responses, one per prompt, each valid for its contract
+const FIXTURE_RESPONSES = {
+  analysis: {
+    sentiment: 'neutral',
+    sentiment_score: 0,
+    theme: 'other',
+    themes: [{ theme: 'other', confidence: 0.5 }],
+    urgency: 'medium',
+    value_score: 'medium',
+    value_rationale: 'Fixture response',
+    summary: 'Fixture summary of the feedback.',
+  },
+  summary: 'Fixture summary: the feedback repeats a few pain points worth a closer look.',
+  themeNaming: {
+    slug: 'fixture-theme',
+    display_name: 'Fixture Theme',
+    description: 'Theme proposed by the fixture provider',
+  },
+};
+
+// Model responses can be strings or already-parsed JSON
+function responseText(response) {
+  return typeof response === 'string' ? response : JSON.stringify(response);
+}
+
+// Workers AI through the AI binding
+function workersAiProvider(env) {
+  return {
+    name: 'workers-ai',
+    async generate(task, messages) {
+      const prompt = PROMPTS[task];
+      const aiResponse = await env.AI.run(prompt.model, { messages, max_tokens: prompt.maxTokens });
+      return { text: responseText(aiResponse.response), model: prompt.model };
+    },
+  };
+}
+
+// Any server speaking the OpenAI chat completions API (Ollama, llama.cpp,
+// vLLM, LM Studio, ...)
+function openAiProvider(env) {
+  if (!env.OPENAI_BASE_URL || !env.OPENAI_MODEL) {
+    throw new Error('AI_PROVIDER "openai" needs OPENAI_BASE_URL and OPENAI_MODEL');
+  }
+  const url = `${env.OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    async generate(task, messages) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(env.OPENAI_API_KEY ? { Authorization: `Bearer ${env.OPENAI_API_KEY}` } : {}),
+        },
+        body: JSON.stringify({
+          model: env.OPENAI_MODEL,
+          messages,
+          max_tokens: PROMPTS[task].maxTokens,
+          temperature: 0,
+        }),
+      });
+      if (!res.ok) {
+        throw new Error(`AI provider request failed (${res.status}): ${(await res.text()).slice(0, 200)}`);
+      }
+
+      const body = await res.json();
+      const choice = body.choices && body.choices[0];
+      if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+        throw new Error('AI provider response has no message content');
+      }
+      return { text: choice.message.content, model: env.OPENAI_MODEL };
+    },
+  };
+}
+
+// Canned responses. Every call for a task returns the same text.
+function fixtureProvider(env) {
+  let overrides = {};
+  if (env.AI_FIXTURES) {
+    try {
+      overrides = JSON.parse(env.AI_FIXTURES);
+    } catch {
+      overrides = null;
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('AI_FIXTURES must be a JSON object keyed by prompt name');
+    }
+  }
+  const responses = { ...FIXTURE_RESPONSES, ...overrides };
+
+  return {
+    name: 'fixture',
+    async generate(task) {
+      if (responses[task] === undefined) {
+        throw new Error(`No fixture response for prompt "${task}"`);
+      }
+      return { text: responseText(responses[task]), model: FIXTURE_MODEL };
+    },
+  };
+}
+
+// The provider selected by AI_PROVIDER, or null when Workers AI is
+// selected but there is no AI binding (e.g. local development). Throws
+// for an unknown or misconfigured provider.
+export function getProvider(env) {
+  const name = env.AI_PROVIDER || 'workers-ai';
+  if (name === 'workers-ai') return env.AI ? workersAiProvider(env) : null;
+  if (name === 'openai') return openAiProvider(env);
+  if (name === 'fixture') return fixtureProvider(env);
+  throw new Error(`AI_PROVIDER must be one of: ${PROVIDER_NAMES.join(', ')}`);
+}
+
+// Run one prompt: the system message plus the task's user message built
+// from input
+export function generate(provider, task, input) {
+  const prompt = PROMPTS[task];
+  return provider.generate(task, [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user(input) },
+  ]);
+}
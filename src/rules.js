@@ -0,0 +1,121 @@
+/**
+ * Rule-based feedback classifier - a deterministic stand-in for the model
+ * when Workers AI is disabled, missing (local development) or failing.
+ *
+ * Sentiment comes from word lists with simple negation, themes from the
+ * taxonomy keywords, urgency and value from cue phrases. Results have the
+ * same shape as a validated model analysis.
+ */
+
+// Sentiment words. A negator up to two words before flips a word.
+const POSITIVE_WORDS = [
+  'love', 'loving', 'great', 'amazing', 'awesome', 'excellent', 'fantastic', 'incredible', 'impressed',
+  'impressive', 'fast', 'easy', 'easier', 'simple', 'simpler', 'clear', 'smooth', 'perfect', 'best',
+  'thanks', 'thank', 'helpful', 'reliable', 'saving', 'game changer', 'well done', 'nice', 'good',
+];
+const NEGATIVE_WORDS = [
+  'slow', 'slower', 'broken', 'break', 'breaking', 'error', 'errors', 'fail', 'fails', 'failing', 'failed',
+  'confusing', 'confused', 'unexpected', 'outage', 'down', 'bug', 'buggy', 'missing', 'frustrating',
+  'frustrated', 'unacceptable', 'timeout', 'timeouts', 'crash', 'crashes', 'unclear', 'incomplete',
+  'outdated', 'expensive', 'painful', 'terrible', 'awful', 'worse', 'worst', 'cryptic', 'unhelpful',
+  'stale', 'lost', 'problem', 'problems', 'issue', 'issues', 'hard', 'difficult', 'lacking', 'killing',
+];
+const NEGATORS = ['not', 'no', 'never', "isn't", "wasn't", "don't", "doesn't", "didn't", "can't", 'cannot', 'without'];
+
+// Urgency cues, most urgent first
+const URGENCY_CUES = [
+  ['critical', ['asap', 'urgent', 'urgently', 'outage', 'production down', 'blocking production', 'data loss', 'security issue', 'all requests', 'down for']],
+  ['high', ['blocking', 'blocker', 'in production', 'production', 'broken', 'cannot', "can't", 'unable to', 'customers are', 'losing']],
+];
+
+// Cues that acting on the feedback would matter to many users or revenue
+const HIGH_VALUE_CUES = ['enterprise', 'customers', 'users', 'migration', 'migrate', 'revenue', 'production', 'thousands', 'team'];
+
+const SUMMARY_MAX_LENGTH = 150;
+
+// Lowercased words of a text, keeping apostrophes inside words
+function tokenize(text) {
+  return text.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [];
+}
+
+// Number of times a word or phrase occurs in the token list
+function countPhrase(tokens, phrase) {
+  const words = tokenize(phrase);
+  if (words.length === 0) return 0;
+  let count = 0;
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    if (words.every((word, offset) => tokens[i + offset] === word)) count++;
+  }
+  return count;
+}
+
+// Sentiment score in [-1, 1] from positive and negative word hits
+function scoreSentiment(tokens) {
+  let positive = 0;
+  let negative = 0;
+
+  tokens.forEach((token, index) => {
+    const polarity = POSITIVE_WORDS.includes(token) ? 1 : NEGATIVE_WORDS.includes(token) ? -1 : 0;
+    if (polarity === 0) return;
+    const negated = tokens.slice(Math.max(0, index - 2), index).some(word => NEGATORS.includes(word));
+    if ((polarity > 0) !== negated) positive++;
+    else negative++;
+  });
+
+  for (const phrase of POSITIVE_WORDS.filter(word => word.includes(' '))) positive += countPhrase(tokens, phrase);
+
+  const hits = positive + negative;
+  if (hits === 0) return 0;
+  // Fewer hits give a weaker score
+  return Number(((positive - negative) / hits * Math.min(1, hits / 3)).toFixed(2));
+}
+
+// Classify one feedback text into at most maxThemes theme labels. Returns
+// sentiment, sentiment_score, theme, themes, urgency, value_score,
+// value_rationale and summary.
+export function classifyWithRules(content, taxonomy, fallbackTheme, maxThemes) {
+  const text = String(content || '');
+  const tokens = tokenize(text);
+
+  const sentimentScore = scoreSentiment(tokens);
+  const sentiment = sentimentScore > 0.2 ? 'positive' : sentimentScore < -0.2 ? 'negative' : 'neutral';
+
+  const themeHits = taxonomy
+    .map(theme => ({ theme: theme.slug, hits: (theme.keywords || []).reduce((sum, keyword) => sum + countPhrase(tokens, keyword), 0) }))
+    .filter(match => match.hits > 0)
+    .sort((a, b) => b.hits - a.hits);
+  const themes = themeHits.length > 0
+    ? themeHits.slice(0, maxThemes).map(match => ({ theme: match.theme, confidence: Number((match.hits / themeHits[0].hits * 0.6).toFixed(2)) }))
+    : [{ theme: fallbackTheme, confidence: 0.3 }];
+
+  const [urgencyCue] = URGENCY_CUES.filter(([, cues]) => cues.some(cue => countPhrase(tokens, cue) > 0));
+  const urgency = urgencyCue ? urgencyCue[0] : sentiment === 'negative' ? 'medium' : 'low';
+
+  const valueCues = HIGH_VALUE_CUES.filter(cue => countPhrase(tokens, cue) > 0);
+  let valueScore = 'medium';
+  let valueRationale = 'Rule-based: no strong impact cues';
+  if (urgencyCue || valueCues.length >= 2) {
+    // Only the cues that matched: urgency from sentiment alone is no reason
+    const reasons = [
+      ...(urgencyCue ? [`${urgency} urgency`] : []),
+      ...(valueCues.length ? [`mentions ${valueCues.slice(0, 3).join(', ')}`] : []),
+    ];
+    valueScore = 'high';
+    valueRationale = `Rule-based: ${reasons.join(' and ')}`;
+  } else if (sentiment === 'positive' && valueCues.length === 0) {
+    valueScore = 'low';
+    valueRationale = 'Rule-based: positive feedback with no request or impact cues';
+  }
+
+  const firstSentence = text.trim().split(/(?<=[.!?])\s+/)[0] || '';
+  return {
+    sentiment,
+    sentiment_score: sentimentScore,
+    theme: themes[0].theme,
+    themes,
+    urgency,
+    value_score: valueScore,
+    value_rationale: valueRationale,
+    summary: firstSentence.length > SUMMARY_MAX_LENGTH ? `${firstSentence.slice(0, SUMMARY_MAX_LENGTH - 1)}…` : firstSentence,
+  };
+}
@@ -0,0 +1,27 @@
+/**
+ * Webhook signature helpers shared by the connectors: HMAC digests in the
+ * encodings senders use, and a constant-time comparison.
+ */
+
+// HMAC of a text with the given hash ('SHA-1', 'SHA-256', ...)
+export async function hmac(hash, secret, text) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(text)));
+}
+
+export function toHex(bytes) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+// Compare two strings in time independent of where they differ
+export function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
@@ -0,0 +1,148 @@
+/**
+ * Slack Events API connector - request signature verification, the mapping
+ * from message and reaction events to feedback items, and the Web API calls
+ * they need.
+ *
+ * Messages and threaded replies in the channels listed in SLACK_CHANNELS are
+ * ingested as they are posted, edited and deleted. Reacting to a message in
+ * any channel the app is in with SLACK_REACTION forwards that one message;
+ * its text is fetched with SLACK_BOT_TOKEN.
+ */
+
+import { hmac, timingSafeEqual, toHex } from './signatures.js';
+
+export const SLACK_API = 'https://slack.com/api';
+
+// Reaction that forwards a message when SLACK_REACTION is not set, and the
+// one added back once it is stored
+export const DEFAULT_SLACK_REACTION = 'inbox_tray';
+export const SLACK_STORED_REACTION = 'white_check_mark';
+
+// Requests signed longer ago than this are rejected as replays
+const SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+// Message subtypes that carry something a person wrote
+const MESSAGE_SUBTYPES = [undefined, 'thread_broadcast', 'file_share'];
+
+// Check the X-Slack-Signature header ("v0=<hex>"): an HMAC-SHA256 of
+// "v0:<X-Slack-Request-Timestamp>:<raw body>" with the signing secret
+export async function verifySlackSignature(secret, body, timestamp, signature, now = Date.now()) {
+  if (!signature || !signature.startsWith('v0=') || !/^\d+$/.test(timestamp || '')) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_MAX_AGE_SECONDS) return false;
+  const expected = toHex(await hmac('SHA-256', secret, `v0:${timestamp}:${body}`));
+  return timingSafeEqual(signature.slice('v0='.length).toLowerCase(), expected);
+}
+
+// Plain text from Slack's mrkdwn: links, mentions and channel references
+// are unwrapped and the escaped &, < and > decoded
+export function slackText(text) {
+  return (text || '')
+    .replace(/<((?:https?|mailto):[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+    .replace(/<((?:https?|mailto):[^>]+)>/g, '$1')
+    .replace(/<@([A-Z0-9]+)(?:\|([^>]+))?>/g, (match, id, name) => `@${name || id}`)
+    .replace(/<#([A-Z0-9]+)(?:\|([^>]*))?>/g, (match, id, name) => `#${name || id}`)
+    .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1')
+    .replace(/<!subteam\^[A-Z0-9]+(?:\|([^>]+))?>/g, (match, name) => name || '@group')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// Feedback rows are keyed by channel and message timestamp, which Slack
+// uses as the message id
+export function slackExternalId(channel, ts) {
+  return `slack:message:${channel}:${ts}`;
+}
+
+// Map a message to a feedback item: { item } with channel, content, author,
+// created_at and external_id (the caller adds source_url), or { ignored }
+// with the reason.
+export function slackFeedbackItem(channel, message) {
+  if (!message || message.bot_id || message.subtype === 'bot_message') {
+    return { ignored: 'Posted by a bot' };
+  }
+  if (!MESSAGE_SUBTYPES.includes(message.subtype)) {
+    return { ignored: `Unsupported message subtype: ${message.subtype}` };
+  }
+  const content = slackText(message.text);
+  if (!content) return { ignored: 'Message has no text' };
+
+  const profile = message.user_profile || {};
+  return {
+    item: {
+      channel: 'slack',
+      content,
+      author: profile.display_name || profile.real_name || message.user || null,
+      created_at: Math.floor(Number(message.ts)),
+      external_id: slackExternalId(channel, message.ts),
+      external_status: null,
+    },
+  };
+}
+
+// What an event asks for: { message: { channel, message } } to store a
+// message, { deleted: externalId }, { reaction: { channel, ts } } to fetch
+// and store a reacted-to message, or { ignored } with the reason.
+// channels is the list of ingested channel ids.
+export function slackEventAction(event, { channels, reaction }) {
+  if (!event) return { ignored: 'No event' };
+
+  if (event.type === 'reaction_added') {
+    if (event.reaction !== reaction) return { ignored: `Reaction :${event.reaction}: is not the trigger` };
+    if (!event.item || event.item.type !== 'message') return { ignored: 'Reaction is not on a message' };
+    return { reaction: { channel: event.item.channel, ts: event.item.ts } };
+  }
+
+  if (event.type === 'message') {
+    if (!channels.includes(event.channel)) return { ignored: `Channel ${event.channel} is not ingested` };
+    if (event.subtype === 'message_deleted') {
+      return { deleted: slackExternalId(event.channel, event.deleted_ts) };
+    }
+    if (event.subtype === 'message_changed') {
+      return { message: { channel: event.channel, message: event.message } };
+    }
+    return { message: { channel: event.channel, message: event } };
+  }
+
+  return { ignored: `Unsupported event: ${event.type}` };
+}
+
+// Call a Web API method. Slack answers HTTP 200 with ok: false on errors.
+async function slackApi(token, method, params, { post = false } = {}) {
+  const res = post
+    ? await fetch(`${SLACK_API}/${method}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json; charset=utf-8' },
+      body: JSON.stringify(params),
+    })
+    : await fetch(`${SLACK_API}/${method}?${new URLSearchParams(params)}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  const body = res.ok ? await res.json() : { ok: false, error: `HTTP ${res.status}` };
+  if (!body.ok) throw new Error(`Slack ${method} failed: ${body.error}`);
+  return body;
+}
+
+// A message by channel and timestamp. Thread replies are not in the channel
+// history, so they are looked up in their thread.
+export async function fetchSlackMessage(token, channel, ts) {
+  const range = { channel, latest: ts, oldest: ts, inclusive: 'true' };
+  const history = await slackApi(token, 'conversations.history', { ...range, limit: '1' });
+  const found = (history.messages || []).find(message => message.ts === ts);
+  if (found) return found;
+
+  // The thread's parent always comes first
+  const replies = await slackApi(token, 'conversations.replies', { ...range, ts, limit: '2' });
+  return (replies.messages || []).find(message => message.ts === ts) || null;
+}
+
+export async function slackPermalink(token, channel, ts) {
+  const body = await slackApi(token, 'chat.getPermalink', { channel, message_ts: ts });
+  return body.permalink;
+}
+
+// Mark a forwarded message as stored
+export async function addSlackReaction(token, channel, ts, name) {
+  await slackApi(token, 'reactions.add', { channel, timestamp: ts, name }, { post: true });
+}
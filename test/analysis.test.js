@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseAnalysisJson, validateAnalysis } from '../src/analysis.js';
+
+const THEMES = ['performance', 'documentation', 'pricing', 'reliability', 'other'];
+
+const valid = {
+  sentiment: 'negative',
+  sentiment_score: -0.6,
+  theme: 'performance',
+  themes: [{ theme: 'performance', confidence: 0.9 }],
+  urgency: 'high',
+  value_score: 'high',
+  value_rationale: 'Blocks a production launch',
+  summary: 'Cold starts are slow',
+};
+
+test('parseAnalysisJson reads the object out of surrounding text', () => {
+  assert.deepEqual(parseAnalysisJson('Here you go:\n{"sentiment": "positive"}\nThanks'), { sentiment: 'positive' });
+});
+
+test('parseAnalysisJson rejects responses without valid JSON', () => {
+  assert.throws(() => parseAnalysisJson('no braces here'), /No JSON found/);
+  assert.throws(() => parseAnalysisJson('{"sentiment": }'), /Malformed JSON/);
+});
+
+test('validateAnalysis accepts a response that meets the contract', () => {
+  const { errors, analysis } = validateAnalysis(valid, THEMES);
+  assert.deepEqual(errors, []);
+  assert.equal(analysis.theme, 'performance');
+  assert.equal(analysis.sentiment_score, -0.6);
+});
+
+test('validateAnalysis matches enum values case-insensitively', () => {
+  const { errors, analysis } = validateAnalysis({ ...valid, sentiment: ' Negative ', urgency: 'HIGH', theme: 'Performance' }, THEMES);
+  assert.deepEqual(errors, []);
+  assert.equal(analysis.sentiment, 'negative');
+  assert.equal(analysis.urgency, 'high');
+});
+
+test('validateAnalysis reports each value outside the contract', () => {
+  const { errors } = validateAnalysis({ ...valid, urgency: 'extreme', theme: 'billing' }, THEMES);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^theme must be one of/);
+  assert.match(errors[1], /^urgency must be one of/);
+});
+
+test('validateAnalysis rejects anything but an object', () => {
+  assert.deepEqual(validateAnalysis([valid], THEMES).errors, ['Response must be a JSON object']);
+  assert.deepEqual(validateAnalysis(null, THEMES).errors, ['Response must be a JSON object']);
+});
+
+test('validateAnalysis clamps sentiment_score and requires a number', () => {
+  assert.equal(validateAnalysis({ ...valid, sentiment_score: -4 }, THEMES).analysis.sentiment_score, -1);
+  assert.equal(validateAnalysis({ ...valid, sentiment_score: '0.5' }, THEMES).analysis.sentiment_score, 0.5);
+  assert.deepEqual(validateAnalysis({ ...valid, sentiment_score: 'bad' }, THEMES).errors, ['sentiment_score must be a number from -1 to 1']);
+});
+
+test('validateAnalysis puts the primary theme first and keeps at most three known themes', () => {
+  const themes = [
+    { theme: 'pricing', confidence: 0.4 },
+    'documentation',
+    { theme: 'billing', confidence: 0.9 },
+    { theme: 'reliability', confidence: 1.7 },
+    { theme: 'performance', confidence: 0.8 },
+    { theme: 'pricing', confidence: 0.9 },
+  ];
+  const { analysis } = validateAnalysis({ ...valid, themes }, THEMES);
+  assert.deepEqual(analysis.themes, [
+    { theme: 'performance', confidence: 0.8 },
+    { theme: 'documentation', confidence: 1 },
+    { theme: 'reliability', confidence: 1 },
+  ]);
+});
+
+test('validateAnalysis adds the primary theme when the list leaves it out', () => {
+  const { analysis } = validateAnalysis({ ...valid, themes: undefined }, THEMES);
+  assert.deepEqual(analysis.themes, [{ theme: 'performance', confidence: 1 }]);
+});
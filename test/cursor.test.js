@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { decodeCursor, encodeCursor } from '../src/cursor.js';
+
+const rawCursor = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+test('cursors round-trip and are URL safe', () => {
+  const data = { sort: 'created_at', order: 'desc', direction: 'next', value: '2026-01-20 09:15:00', id: 42 };
+  const cursor = encodeCursor(data);
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(cursor), data);
+  assert.deepEqual(decodeCursor(encodeCursor({ ...data, value: -0.25 })).value, -0.25);
+});
+
+test('decodeCursor rejects text that is not base64url JSON', () => {
+  assert.equal(decodeCursor('not a cursor!'), null);
+  assert.equal(decodeCursor(Buffer.from('{"id": 1').toString('base64url')), null);
+  assert.equal(decodeCursor(''), null);
+});
+
+test('decodeCursor requires an integer id', () => {
+  assert.equal(decodeCursor(rawCursor({ value: 'x' })), null);
+  assert.equal(decodeCursor(rawCursor({ value: 'x', id: '3' })), null);
+  assert.equal(decodeCursor(rawCursor({ value: 'x', id: 1.5 })), null);
+  assert.equal(decodeCursor(rawCursor([1, 2])), null);
+  assert.equal(decodeCursor(rawCursor(null)), null);
+});
+
+test('decodeCursor requires a string or finite number sort value', () => {
+  for (const value of [{ a: 1 }, [1], null, true, undefined]) {
+    assert.equal(decodeCursor(rawCursor({ value, id: 3 })), null, JSON.stringify(value));
+  }
+  assert.equal(decodeCursor(rawCursor({ value: 3, id: 3 })).value, 3);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'node:crypto';
+
+import { verifyDiscordSignature } from '../src/discord.js';
+
+const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+// The raw key is the last 32 bytes of the DER public key
+const PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+const BODY = '{"type":1}';
+const TIMESTAMP = '1768903200';
+const SIGNATURE = sign(null, Buffer.from(TIMESTAMP + BODY), privateKey).toString('hex');
+
+test('verifyDiscordSignature accepts the timestamp and body signed with the application key', async () => {
+  assert.equal(await verifyDiscordSignature(PUBLIC_KEY, BODY, SIGNATURE, TIMESTAMP), true);
+});
+
+test('verifyDiscordSignature rejects a changed body or timestamp', async () => {
+  assert.equal(await verifyDiscordSignature(PUBLIC_KEY, '{"type":2}', SIGNATURE, TIMESTAMP), false);
+  assert.equal(await verifyDiscordSignature(PUBLIC_KEY, BODY, SIGNATURE, '1768903201'), false);
+});
+
+test('verifyDiscordSignature rejects malformed signatures and keys without throwing', async () => {
+  assert.equal(await verifyDiscordSignature(PUBLIC_KEY, BODY, SIGNATURE.slice(2), TIMESTAMP), false);
+  assert.equal(await verifyDiscordSignature(PUBLIC_KEY, BODY, null, TIMESTAMP), false);
+  assert.equal(await verifyDiscordSignature('abcd', BODY, SIGNATURE, TIMESTAMP), false);
+});
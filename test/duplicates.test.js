@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { duplicateShingles, jaccardSimilarity, matchDuplicates } from '../src/duplicates.js';
+
+const row = (id, content, createdAt = '2026-01-20 10:00:00', group = null) => ({
+  id,
+  content,
+  created_at: createdAt,
+  duplicate_group_id: group,
+});
+
+test('duplicateShingles drops stopwords, folds plurals and pairs adjacent words', () => {
+  const { shingles, pairs } = duplicateShingles('The cold starts are really slow in production');
+  assert.deepEqual(pairs, ['cold start', 'start slow', 'slow production']);
+  assert.ok(shingles.has('cold') && shingles.has('start') && shingles.has('cold start'));
+  assert.ok(!shingles.has('the'));
+});
+
+test('duplicateShingles ignores texts too short to compare', () => {
+  assert.equal(duplicateShingles('Cold starts slow'), null);
+  assert.equal(duplicateShingles(null), null);
+});
+
+test('jaccardSimilarity is shared over union', () => {
+  assert.equal(jaccardSimilarity(new Set(['a', 'b', 'c']), new Set(['b', 'c', 'd'])), 0.5);
+  assert.equal(jaccardSimilarity(new Set(['a']), new Set(['a'])), 1);
+});
+
+test('matchDuplicates groups a new report with the earlier one it repeats', () => {
+  const rows = [
+    row(1, 'Cold starts on Workers take two seconds in production'),
+    row(2, 'Dashboard charts do not load on Safari browsers'),
+    row(3, 'Workers cold starts take two seconds in production!'),
+  ];
+  assert.deepEqual([...matchDuplicates(rows, new Set([3]))], [[1, 1], [3, 1]]);
+});
+
+test('matchDuplicates joins an existing group under its id', () => {
+  const rows = [
+    row(5, 'Cold starts on Workers take two seconds in production', undefined, 4),
+    row(7, 'Cold starts on Workers take two seconds in production'),
+  ];
+  assert.deepEqual([...matchDuplicates(rows, new Set([7]))], [[7, 4]]);
+});
+
+test('matchDuplicates leaves reports outside the time window and unrelated ones alone', () => {
+  const rows = [
+    row(1, 'Cold starts on Workers take two seconds in production', '2025-10-01 10:00:00'),
+    row(2, 'Cold starts on Workers take two seconds in production', '2026-01-20 10:00:00'),
+    row(3, 'Dashboard charts do not load on Safari browsers', '2026-01-20 11:00:00'),
+  ];
+  assert.equal(matchDuplicates(rows, new Set([2, 3])).size, 0);
+});
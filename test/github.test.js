@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { verifyGitHubSignature } from '../src/github.js';
+
+const BODY = '{"action":"opened"}';
+const SIGNATURE = `sha256=${createHmac('sha256', 'secret').update(BODY).digest('hex')}`;
+
+test('verifyGitHubSignature accepts the body signed with the secret', async () => {
+  assert.equal(await verifyGitHubSignature('secret', BODY, SIGNATURE), true);
+  assert.equal(await verifyGitHubSignature('secret', BODY, SIGNATURE.toUpperCase().replace('SHA256=', 'sha256=')), true);
+});
+
+test('verifyGitHubSignature rejects another secret, a changed body or a missing prefix', async () => {
+  assert.equal(await verifyGitHubSignature('other', BODY, SIGNATURE), false);
+  assert.equal(await verifyGitHubSignature('secret', `${BODY}\n`, SIGNATURE), false);
+  assert.equal(await verifyGitHubSignature('secret', BODY, SIGNATURE.slice('sha256='.length)), false);
+  assert.equal(await verifyGitHubSignature('secret', BODY, null), false);
+});
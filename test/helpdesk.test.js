@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { HELPDESK_MAPPINGS, verifyHelpdeskSignature } from '../src/helpdesk.js';
+
+const BODY = '{"ticket":{"id":42}}';
+
+test('verifyHelpdeskSignature checks a Zendesk base64 signature over timestamp and body', async () => {
+  const timestamp = '2026-01-20T10:00:00Z';
+  const signature = createHmac('sha256', 'secret').update(timestamp + BODY).digest('base64');
+  const headers = new Headers({
+    'X-Zendesk-Webhook-Signature': signature,
+    'X-Zendesk-Webhook-Signature-Timestamp': timestamp,
+  });
+  assert.equal(await verifyHelpdeskSignature(HELPDESK_MAPPINGS.zendesk, 'secret', BODY, headers), true);
+  assert.equal(await verifyHelpdeskSignature(HELPDESK_MAPPINGS.zendesk, 'other', BODY, headers), false);
+
+  headers.delete('X-Zendesk-Webhook-Signature-Timestamp');
+  assert.equal(await verifyHelpdeskSignature(HELPDESK_MAPPINGS.zendesk, 'secret', BODY, headers), false);
+});
+
+test('verifyHelpdeskSignature checks an Intercom prefixed hex signature', async () => {
+  const signature = createHmac('sha1', 'secret').update(BODY).digest('hex');
+  const signed = new Headers({ 'X-Hub-Signature': `sha1=${signature}` });
+  assert.equal(await verifyHelpdeskSignature(HELPDESK_MAPPINGS.intercom, 'secret', BODY, signed), true);
+  assert.equal(await verifyHelpdeskSignature(HELPDESK_MAPPINGS.intercom, 'secret', `${BODY} `, signed), false);
+
+  const unprefixed = new Headers({ 'X-Hub-Signature': signature });
+  assert.equal(await verifyHelpdeskSignature(HELPDESK_MAPPINGS.intercom, 'secret', BODY, unprefixed), false);
+});
+
+test('verifyHelpdeskSignature compares a shared token when the mapping has no hash', async () => {
+  const mapping = { signature: { header: 'X-Webhook-Token' } };
+  assert.equal(await verifyHelpdeskSignature(mapping, 'token', BODY, new Headers({ 'X-Webhook-Token': 'token' })), true);
+  assert.equal(await verifyHelpdeskSignature(mapping, 'token', BODY, new Headers({ 'X-Webhook-Token': 'guess' })), false);
+  assert.equal(await verifyHelpdeskSignature(mapping, 'token', BODY, new Headers()), false);
+});
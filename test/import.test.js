@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectImportFormat, parseCsv, parseImportRows, resolveColumnMapping } from '../src/import.js';
+
+test('parseCsv handles quoted fields, escaped quotes and embedded newlines', () => {
+  const text = 'channel,content\r\ngithub,"Says ""hi"", then\nleaves"\n\nforum,plain\n';
+  assert.deepEqual(parseCsv(text), [
+    ['channel', 'content'],
+    ['github', 'Says "hi", then\nleaves'],
+    ['forum', 'plain'],
+  ]);
+});
+
+test('parseCsv keeps a last record without a trailing newline', () => {
+  assert.deepEqual(parseCsv('a,b\n1,'), [['a', 'b'], ['1', '']]);
+});
+
+test('resolveColumnMapping matches aliases and lets overrides win', () => {
+  const columns = ['Subject', 'Description', 'Requester Name', 'Created'];
+  assert.deepEqual(resolveColumnMapping(columns), {
+    created_at: 'Created',
+    title: 'Subject',
+    content: 'Description',
+    author: 'Requester Name',
+  });
+  assert.equal(resolveColumnMapping(columns, { content: 'subject' }).content, 'Subject');
+  assert.equal(resolveColumnMapping(columns, { content: 'missing' }).content, undefined);
+});
+
+test('detectImportFormat prefers the explicit format, then content type, filename and content', () => {
+  assert.equal(detectImportFormat('ndjson', 'text/csv', 'a.csv', 'x'), 'jsonl');
+  assert.equal(detectImportFormat(null, 'text/csv', null, '{}'), 'csv');
+  assert.equal(detectImportFormat(null, 'application/octet-stream', 'export.jsonl', 'a,b'), 'jsonl');
+  assert.equal(detectImportFormat(null, '', null, '  {"content": "x"}'), 'jsonl');
+  assert.equal(detectImportFormat(null, '', null, 'content\nx'), 'csv');
+});
+
+test('parseImportRows maps CSV columns to feedback fields', () => {
+  const { rows, rejected, mapping } = parseImportRows('csv', 'via,body\ndiscord,Slow builds\n');
+  assert.deepEqual(mapping, { channel: 'via', content: 'body' });
+  assert.deepEqual(rows, [{ row: 1, input: { channel: 'discord', content: 'Slow builds' } }]);
+  assert.deepEqual(rejected, []);
+});
+
+test('parseImportRows rejects JSON lines that are not objects', () => {
+  const text = '{"message": "Love it", "user": "sam"}\n[1, 2]\nnot json\n\n{"message": "Docs are stale"}';
+  const { rows, rejected } = parseImportRows('jsonl', text);
+  assert.deepEqual(rows, [
+    { row: 1, input: { content: 'Love it', author: 'sam' } },
+    { row: 4, input: { content: 'Docs are stale', author: undefined } },
+  ]);
+  assert.deepEqual(rejected.map(r => r.row), [2, 3]);
+});
+
+test('parseImportRows returns nothing for an empty CSV', () => {
+  assert.deepEqual(parseImportRows('csv', '\n\n'), { rows: [], rejected: [], mapping: {} });
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { classifyWithRules } from '../src/rules.js';
+
+const TAXONOMY = [
+  { slug: 'performance', keywords: ['slow', 'latency', 'cold start'] },
+  { slug: 'documentation', keywords: ['docs', 'example'] },
+  { slug: 'pricing', keywords: ['price', 'billing'] },
+];
+
+const classify = (content, maxThemes = 3) => classifyWithRules(content, TAXONOMY, 'other', maxThemes);
+
+test('classifyWithRules scores positive and negative feedback', () => {
+  const positive = classify('Love the new dashboard, it is fast and easy to use. Great work!');
+  assert.equal(positive.sentiment, 'positive');
+  assert.ok(positive.sentiment_score > 0.2);
+
+  const negative = classify('The docs are confusing and the example is broken.');
+  assert.equal(negative.sentiment, 'negative');
+  assert.ok(negative.sentiment_score < -0.2);
+});
+
+test('classifyWithRules flips negated sentiment words', () => {
+  const result = classify('The latency is not great and the docs are not helpful or clear.');
+  assert.equal(result.sentiment, 'negative');
+});
+
+test('classifyWithRules ranks themes by keyword hits and respects the limit', () => {
+  const content = 'Latency is slow, cold start is slow, and the docs lack a billing example.';
+  assert.deepEqual(classify(content).themes.map(label => label.theme), ['performance', 'documentation', 'pricing']);
+  const limited = classify(content, 2);
+  assert.equal(limited.theme, 'performance');
+  assert.equal(limited.themes.length, 2);
+});
+
+test('classifyWithRules falls back to the given theme when no keyword matches', () => {
+  const result = classify('Please add a dark mode to the dashboard.');
+  assert.deepEqual(result.themes, [{ theme: 'other', confidence: 0.3 }]);
+});
+
+test('classifyWithRules reads urgency from cue phrases', () => {
+  assert.equal(classify('We have an outage, all requests fail. Fix ASAP.').urgency, 'critical');
+  assert.equal(classify('This bug is blocking our release.').urgency, 'high');
+  assert.equal(classify('The docs could mention the new flag.').urgency, 'low');
+});
+
+test('classifyWithRules explains a high value only by the cues that matched', () => {
+  const cued = classify('Our enterprise customers want this before the migration.');
+  assert.equal(cued.value_score, 'high');
+  assert.equal(cued.value_rationale, 'Rule-based: mentions enterprise, customers, migration');
+
+  const urgent = classify('Deploys are broken.');
+  assert.equal(urgent.value_score, 'high');
+  assert.equal(urgent.value_rationale, 'Rule-based: high urgency');
+});
+
+test('classifyWithRules summarizes with the first sentence', () => {
+  assert.equal(classify('Cold start is slow. Everything else is fine.').summary, 'Cold start is slow.');
+  assert.equal(classify(`${'word '.repeat(60)}end.`).summary.length, 150);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { hmac, timingSafeEqual, toBase64, toHex } from '../src/signatures.js';
+
+test('hmac matches node:crypto in hex and base64', async () => {
+  const digest = await hmac('SHA-256', 'secret', 'payload');
+  assert.equal(toHex(digest), createHmac('sha256', 'secret').update('payload').digest('hex'));
+  assert.equal(toBase64(digest), createHmac('sha256', 'secret').update('payload').digest('base64'));
+});
+
+test('hmac supports SHA-1', async () => {
+  assert.equal(toHex(await hmac('SHA-1', 'secret', 'payload')), createHmac('sha1', 'secret').update('payload').digest('hex'));
+});
+
+test('toHex pads every byte to two digits', () => {
+  assert.equal(toHex(new Uint8Array([0, 9, 255])), '0009ff');
+});
+
+test('timingSafeEqual compares whole strings', () => {
+  assert.equal(timingSafeEqual('abc', 'abc'), true);
+  assert.equal(timingSafeEqual('abc', 'abd'), false);
+  assert.equal(timingSafeEqual('abc', 'abcd'), false);
+});
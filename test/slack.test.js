@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+
+import { verifySlackSignature } from '../src/slack.js';
+
+const BODY = '{"type":"event_callback"}';
+const TIMESTAMP = '1768903200';
+const NOW = Number(TIMESTAMP) * 1000;
+const signed = (timestamp, body = BODY) => `v0=${createHmac('sha256', 'secret').update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+test('verifySlackSignature accepts a fresh request signed with the signing secret', async () => {
+  assert.equal(await verifySlackSignature('secret', BODY, TIMESTAMP, signed(TIMESTAMP), NOW), true);
+  assert.equal(await verifySlackSignature('secret', BODY, TIMESTAMP, signed(TIMESTAMP), NOW + 4 * 60 * 1000), true);
+});
+
+test('verifySlackSignature rejects requests signed more than five minutes away', async () => {
+  assert.equal(await verifySlackSignature('secret', BODY, TIMESTAMP, signed(TIMESTAMP), NOW + 6 * 60 * 1000), false);
+  assert.equal(await verifySlackSignature('secret', BODY, TIMESTAMP, signed(TIMESTAMP), NOW - 6 * 60 * 1000), false);
+});
+
+test('verifySlackSignature rejects another secret, a changed body or a bad header', async () => {
+  assert.equal(await verifySlackSignature('other', BODY, TIMESTAMP, signed(TIMESTAMP), NOW), false);
+  assert.equal(await verifySlackSignature('secret', `${BODY} `, TIMESTAMP, signed(TIMESTAMP), NOW), false);
+  assert.equal(await verifySlackSignature('secret', BODY, TIMESTAMP, signed(TIMESTAMP).slice(3), NOW), false);
+  assert.equal(await verifySlackSignature('secret', BODY, 'soon', signed('soon'), NOW), false);
+});